@@ -0,0 +1,158 @@
+// Audit trail: every write made through a form binding lands in the hidden _Audit sheet
+
+/**
+ * One row per write, oldest first:
+ *   Timestamp | User | Form | Target | Address | Old | New
+ * Target is the data-bind text ("Table[Column]" for record fields, "Table: add row"
+ * or "Table: delete row" for row inserts and deletes), Address the resolved
+ * sheet-qualified range. Old holds the cell formulas before the write and
+ * New the values after it, both JSON-encoded 2-D arrays so text such as "=x" or
+ * "0012" is stored verbatim. Only the newest AUDIT_LIMIT rows are kept.
+ */
+const AUDIT_SHEET = "_Audit";
+const AUDIT_LIMIT = 2000; // max saved rows (excluding header)
+const AUDIT_HEADERS = ["Timestamp", "User", "Form", "Target", "Address", "Old", "New"];
+// Table row inserts and deletes are audited as "<Table>: add row" / "<Table>: delete row"
+const AUDIT_ADD_ROW = "add row";
+const AUDIT_DELETE_ROW = "delete row";
+
+function blankLike(values) {
+  return values.map(r => r.map(() => ""));
+}
+
+// Rows shift after an insert or delete, so writing Old back to Address would hit another row
+function isRowAuditEntry(entry) {
+  return entry.target.endsWith(`: ${AUDIT_ADD_ROW}`) || entry.target.endsWith(`: ${AUDIT_DELETE_ROW}`);
+}
+
+// Excel gives add-ins no signed-in identity without SSO, so each device records the
+// name saved on the Settings form; "" until one is saved
+const AUDIT_USER_KEY = "Audit.user";
+
+function auditUser() {
+  try { return localStorage.getItem(AUDIT_USER_KEY) || ""; } catch { return ""; }
+}
+
+function setAuditUser(name) {
+  const value = String(name ?? "").trim();
+  if (value) localStorage.setItem(AUDIT_USER_KEY, value);
+  else localStorage.removeItem(AUDIT_USER_KEY);
+  return value;
+}
+
+async function ensureAuditSheet(ctx) {
+  let sheet = ctx.workbook.worksheets.getItemOrNullObject(AUDIT_SHEET);
+  await ctx.sync();
+  if (sheet.isNullObject) {
+    sheet = ctx.workbook.worksheets.add(AUDIT_SHEET);
+    sheet.getRange("A1:G1").values = [AUDIT_HEADERS];
+  }
+  sheet.visibility = Excel.SheetVisibility.hidden;
+  return sheet;
+}
+
+/**
+ * Appends entries inside the caller's Excel.run, after its write has synced.
+ * entries: [{ target, address, before, after }] with before/after as 2-D arrays.
+ */
+async function appendAudit(ctx, entries, formId = activeForm?.id || "") {
+  if (!entries.length) return;
+  const sheet = await ensureAuditSheet(ctx);
+  const used = sheet.getUsedRangeOrNullObject();
+  used.load("rowCount");
+  await ctx.sync();
+
+  const first = (used.isNullObject ? 1 : used.rowCount) + 1;
+  const last = first + entries.length - 1;
+  const ts = new Date().toISOString();
+  const user = auditUser();
+  const block = sheet.getRange(`A${first}:G${last}`);
+  block.numberFormat = entries.map(() => Array(7).fill("@"));
+  block.values = entries.map(e => [
+    ts, user, formId, e.target, e.address, JSON.stringify(e.before), JSON.stringify(e.after)
+  ]);
+
+  // Trim to limit (keep newest)
+  const maxRows = AUDIT_LIMIT + 1; // header + N
+  if (last > maxRows) {
+    sheet.getRange(`A2:G${1 + last - maxRows}`).delete(Excel.DeleteShiftDirection.up);
+  }
+  await ctx.sync();
+}
+
+// Audit failures never undo a save that already went through
+async function tryAppendAudit(ctx, entries, formId) {
+  try {
+    await appendAudit(ctx, entries, formId);
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, "Audit");
+  }
+}
+
+// Newest first; [] when nothing was audited yet
+async function readAuditEntries() {
+  return await ExcelRunner.run(async (ctx) => {
+    const sheet = ctx.workbook.worksheets.getItemOrNullObject(AUDIT_SHEET);
+    await ctx.sync();
+    if (sheet.isNullObject) return [];
+    const used = sheet.getUsedRangeOrNullObject();
+    used.load("values");
+    await ctx.sync();
+    if (used.isNullObject) return [];
+    return used.values.slice(1).map((r, i) => ({
+      row: i + 2,
+      ts: String(r[0]), user: String(r[1]), form: String(r[2]), target: String(r[3]), address: String(r[4]),
+      before: parseAuditValues(r[5]), after: parseAuditValues(r[6])
+    })).reverse();
+  });
+}
+
+function parseAuditValues(text) {
+  try {
+    const v = JSON.parse(String(text));
+    return Array.isArray(v) ? v : [[v]];
+  } catch {
+    return [[text]];
+  }
+}
+
+/**
+ * Writes an entry's old formulas back to its address. When the cells no longer
+ * hold the audited new value the user confirms first, since the revert would
+ * also discard that later change. The revert is audited like any other write.
+ * Returns true when written.
+ */
+async function revertAuditEntry(entry) {
+  const { sheet, local } = splitSheetPrefix(entry.address);
+  if (!sheet) throw new Error(`Audit address "${entry.address}" has no sheet.`);
+  if (isRowAuditEntry(entry)) throw new Error("Added or deleted table rows can't be reverted from the audit log.");
+  window.ErrorHandler?.breadcrumb("excel", "revert", entry.address);
+  const rangeOf = (ctx) => ctx.workbook.worksheets.getItem(sheet).getRange(local);
+
+  // The confirmation waits outside any run, so a retried read can't ask twice
+  const current = await ExcelRunner.run(async (ctx) => {
+    const rng = rangeOf(ctx);
+    rng.load(["values", "rowCount", "columnCount"]);
+    await ctx.sync();
+    return { values: rng.values, rowCount: rng.rowCount, columnCount: rng.columnCount };
+  });
+  if (current.rowCount !== entry.before.length || current.columnCount !== (entry.before[0] || []).length) {
+    throw new Error(`Cannot revert ${entry.address}: the recorded value no longer fits the range.`);
+  }
+  if (JSON.stringify(current.values) !== JSON.stringify(entry.after)) {
+    const ok = await confirmInPane(`${entry.address} changed again after this edit. Revert it anyway?`, { okText: "Revert" });
+    if (!ok) return false;
+  }
+
+  return await ExcelRunner.run(async (ctx) => {
+    const rng = rangeOf(ctx);
+    rng.load(["address", "formulas"]);
+    await ctx.sync();
+    const before = rng.formulas;
+    rng.formulas = entry.before;
+    rng.load("values");
+    await ctx.sync();
+    await tryAppendAudit(ctx, [{ target: `revert ${entry.target}`, address: rng.address, before, after: rng.values }], "audit");
+    return true;
+  }, { retries: 0 });
+}
@@ -1,8 +1,28 @@
 /* Robust central error/notify util for shared runtime
    - Guards against recursive error handling (stack overflows)
    - Dedupe repeated errors
-   - Rate-limits notifications and workbook logging
+   - Rate-limits notifications, and each log transport separately
+   - Keeps _Logs capped (oldest rows trimmed) with one structured row per entry
    - Never rethrow/reject from handlers
+   - Keeps a breadcrumb trail (routing, renders, Excel operations) for each logged error
+   Toasts show ExcelRunner.userMessage(err) for Office errors when excel-runner.js is loaded.
+
+   Public API (window.ErrorHandler):
+     error(err, context)    toast + _Logs row; handle/handleError are aliases
+     warn(err, context)     console in dev + breadcrumb + _Logs row, no toast
+     info(message, context) console in dev + breadcrumb
+     notify(message, opts)  toast only; opts.type: success | info | error
+     breadcrumb(category, message, data)
+     tryWrap(label, fn)     runs fn, reports a throw as error(), resolves undefined
+     setScope({ form, sheet })  what the pane shows, stamped on each log row
+     readLogs()             _Logs rows as objects, oldest first
+     exportLogs(format)     "csv" | "json" text of readLogs()
+     clearLogs()            deletes every _Logs row but the header
+     hostInfo()             { host, platform } as stamped on log rows
+     addTransport(t) / removeTransport(name) / flush()
+     transports.http({ url }) / transports.console()   built-in transport factories
+     addScrubRule(pattern, replacement)                 extra PII scrubbing
+   window gets an "errorhandler:logged" event (detail: the entry) after each row is written.
 */
 (function () {
   if (window.ErrorHandler && window.ErrorHandler.__BOUND_GLOBALS__) {
@@ -10,17 +30,152 @@
     return;
   }
 
+  const ADDIN_VERSION = "1.0.0.0"; // keep in step with <Version> in manifest.xml
+  const LOG_SHEET = "_Logs";
+  const LOG_COLUMNS = [
+    "Timestamp", "Severity", "Context", "Message", "Form", "Sheet",
+    "Session", "Version", "Host", "Platform", "Stack", "Breadcrumbs"
+  ];
+  const LOG_KEYS = ["ts", "severity", "context", "message", "form", "sheet", "session", "version", "host", "platform", "stack", "breadcrumbs"];
+  const LOG_LAST_COL = String.fromCharCode(64 + LOG_COLUMNS.length); // "L"
+
+  // ExcelRunner (excel-runner.js) retries transient failures; plain Excel.run if it is missing
+  function runExcel(fn, opts) {
+    return window.ExcelRunner ? ExcelRunner.run(fn, opts) : Excel.run(fn);
+  }
+
+  function newSessionId() {
+    try { if (crypto?.randomUUID) return crypto.randomUUID(); } catch {}
+    return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+  }
+
+  /* Log transports
+     Every logged entry is queued once per transport and sent in batches:
+       { name, send(entries), batchSize?, rate?: { max, refillMs }, persist?, scrub?, available?() }
+     send() resolves when the batch is delivered. A rejection is retried with
+     exponential backoff unless the error has retryable === false, in which
+     case the batch is dropped. Each transport has its own token bucket in _rate
+     (one token per entry), and entries wait in the queue while the bucket is
+     empty, the device is offline or available() is false. Queues of transports
+     with persist: true survive reloads (OfficeRuntime.storage, else
+     localStorage), stored per workbook URL so panes open in other workbooks
+     keep their own; an unsaved workbook's queue lasts for its session. Entries are scrubbed by scrubRules before they are queued,
+     unless the transport sets scrub: false. */
+  const QUEUE_LIMIT = 200;              // entries kept per transport; oldest dropped
+  const QUEUE_KEY = "ErrorHandler.queue.";
+  const RETRY_BASE_MS = 2000;
+  const RETRY_MAX_MS = 5 * 60000;
+
+  // OfficeRuntime.storage is shared with ribbon functions; plain pages fall back to localStorage
+  const queueStore = {
+    async get(key) {
+      try { if (window.OfficeRuntime?.storage) return await OfficeRuntime.storage.getItem(key); } catch {}
+      try { return localStorage.getItem(key); } catch { return null; }
+    },
+    async set(key, value) {
+      if (window.OfficeRuntime?.storage) {
+        try { await OfficeRuntime.storage.setItem(key, value); return; } catch {}
+      }
+      localStorage.setItem(key, value);
+    }
+  };
+
+  /* The collector is add-in configuration, never workbook content: any workbook
+     could otherwise send its user's logs anywhere. Deployments set
+       <meta name="addin-log-collector" content="https://collector.example.com/logs">
+     in taskpane.html; that origin, the ones in COLLECTOR_ORIGINS and plain-http
+     loopback (a local stub server) are the only destinations httpTransport accepts. */
+  const COLLECTOR_META = "addin-log-collector";
+  const COLLECTOR_ORIGINS = [];
+  const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+  function configuredCollector() {
+    return document.querySelector(`meta[name="${COLLECTOR_META}"]`)?.content.trim() || "";
+  }
+
+  function checkCollectorUrl(url) {
+    let u;
+    try { u = new URL(url, location.href); } catch { throw new Error(`Log collector URL "${url}" is not valid`); }
+    const loopback = LOOPBACK_HOSTS.includes(u.hostname);
+    if (u.protocol !== "https:" && !(loopback && u.protocol === "http:")) {
+      throw new Error(`Log collector ${u.origin} must use https`);
+    }
+    const configured = configuredCollector();
+    const allowed = [...COLLECTOR_ORIGINS, ...(configured ? [new URL(configured, location.href).origin] : [])];
+    if (!loopback && !allowed.includes(u.origin)) {
+      throw new Error(`Log collector ${u.origin} is not an allowed origin`);
+    }
+    return u.href;
+  }
+
+  // POSTs { entries: [...] } as JSON; 408, 429 and 5xx are retried, other statuses drop the batch
+  function httpTransport({ url, name = "http", headers = {}, batchSize = 20, rate = { max: 50, refillMs: 1000 }, timeoutMs = 10000 } = {}) {
+    if (!url) throw new Error("httpTransport needs a url");
+    url = checkCollectorUrl(url);
+    return {
+      name, batchSize, rate, persist: true, needsNetwork: true,
+      async send(entries) {
+        const abort = typeof AbortController !== "undefined" ? new AbortController() : null;
+        const timer = abort && setTimeout(() => abort.abort(), timeoutMs);
+        try {
+          const res = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...headers },
+            body: JSON.stringify({ entries }),
+            signal: abort?.signal
+          });
+          if (!res.ok) {
+            const err = new Error(`Log collector answered HTTP ${res.status}`);
+            err.retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+            throw err;
+          }
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+  }
+
+  // Shows entries as a transport sees them (after scrubbing); useful when testing rules
+  function consoleTransport({ name = "console", rate = { max: 50, refillMs: 1000 } } = {}) {
+    return {
+      name, rate, batchSize: 50,
+      send(entries) {
+        for (const e of entries) console[e.severity === "warn" ? "warn" : "error"]("[log]", e);
+      }
+    };
+  }
+
   const EH = {
     initialized: false,
     inHandle: false,           // recursion guard
     __BOUND_GLOBALS__: true,   // mark once
     env: { dev: true, source: "_Settings!B4" },
+    logs: { limit: 1000, source: "_Settings!B5" }, // max saved rows (excluding header)
+    sessionId: newSessionId(),
+    version: ADDIN_VERSION,
+    scope: { form: "", sheet: "" },
+    _logChain: Promise.resolve(),
+    _transports: new Map(), // name → { transport, queue, attempt, timer, sending }
+    transports: { http: httpTransport, console: consoleTransport },
+    // Applied to every free-text field (all but ts, severity, the random session id,
+    // version and host) of entries bound for scrubbing transports
+    scrubRules: [
+      { pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, replacement: "[email]" },
+      // key=value / key: value only, so "Unexpected token <" or "Password must …" stay readable
+      { pattern: /\b(token|access_token|api[_-]?key|password|pwd|secret)(["']?\s*[=:]\s*["']?)[^\s&"',;]+/gi, replacement: "$1$2[redacted]" },
+      { pattern: /\b(bearer\s+)[\w.~+/-]{16,}=*/gi, replacement: "$1[redacted]" },
+      { pattern: /\b\d(?:[ -]?\d){8,}\b/g, replacement: "[number]" }, // card, account and phone numbers
+      { pattern: /([\\/](?:Users|home)[\\/])[^\\/\s]+/gi, replacement: "$1[user]" }
+    ],
     _dedupe: { lastSig: "", lastAt: 0 },
+    _crumbs: [],
+    BREADCRUMB_LIMIT: 30,
 
     // --- rate limiter buckets (token bucket) ---
     _rate: {
-      notify: { tokens: 6, max: 6, refillMs: 10000, last: Date.now(), suppressed: false }, // ~6 toasts / 10s
-      log:    { tokens: 20, max: 20, refillMs: 60000, last: Date.now(), suppressed: false } // ~20 logs / min
+      notify: { tokens: 6, max: 6, refillMs: 10000, last: Date.now(), suppressed: false } // ~6 toasts / 10s
+      // plus one bucket per transport, keyed by its name (see addTransport)
     },
     _refill(bucket){
       const now = Date.now();
@@ -66,6 +221,25 @@
       return `${context}|${m}|${s}`;
     },
 
+    // --- breadcrumbs: what the pane did just before an error ---
+    breadcrumb(category, message, data) {
+      try {
+        const crumb = { at: new Date().toISOString(), category: String(category || ""), message: this.safeToString(message) };
+        if (data !== undefined) crumb.data = this.safeToString(data).slice(0, 300);
+        this._crumbs.push(crumb);
+        if (this._crumbs.length > this.BREADCRUMB_LIMIT) this._crumbs.shift();
+      } catch { /* never throw from breadcrumb */ }
+    },
+
+    breadcrumbs() {
+      return this._crumbs.slice();
+    },
+
+    // One line per crumb, oldest first: "12:04:31.120 [route] Orders → orders"
+    formatBreadcrumbs(list = this._crumbs) {
+      return list.map(c => `${c.at.slice(11, 23)} [${c.category}] ${c.message}${c.data ? " " + c.data : ""}`).join("\n");
+    },
+
     shouldDedupe(sig) {
       const now = Date.now();
       const isSame = sig === this._dedupe.lastSig;
@@ -80,19 +254,27 @@
       if (this.initialized) return;
       try {
         if (typeof Excel !== "undefined" && Office?.context?.host) {
-          await Excel.run(async (ctx) => {
+          await runExcel(async (ctx) => {
             const ws = ctx.workbook.worksheets.getItemOrNullObject("_Settings");
             await ctx.sync();
             if (!ws.isNullObject) {
-              const rng = ws.getRange("B4");
+              const rng = ws.getRange("B4:B5");
               rng.load("values");
               await ctx.sync();
               const v = String(rng.values?.[0]?.[0] ?? "").trim().toLowerCase();
               this.env.dev = v === "true" || v === "1" || v === "yes";
+              const limit = Number(rng.values?.[1]?.[0]);
+              if (Number.isInteger(limit) && limit > 0) this.logs.limit = limit;
             }
-          });
+          }, { quiet: true });
         }
       } catch { /* default dev:true if missing */ }
+      try {
+        const collector = configuredCollector();
+        if (collector && !this._transports.has("http")) this.addTransport(httpTransport({ url: collector }));
+      } catch (e) {
+        try { console.warn("Log collector not used:", e); } catch {}
+      }
       this.initialized = true;
     },
 
@@ -138,59 +320,22 @@
       try {
         await this.init();
         const msg = (err && err.message) ? err.message : this.safeToString(err);
-        const stack = err && err.stack ? String(err.stack) : "";
         const sig = this.signature(err, context);
         if (this.shouldDedupe(sig)) {
           return; // Skip noisy duplicates
         }
+        const trail = this.formatBreadcrumbs();
+        this.breadcrumb("error", (context ? context + ": " : "") + msg);
 
         if (this.env.dev) {
           try { console.error("❌", context, err); } catch {}
         }
 
-        this.notify((context ? context + ": " : "") + msg, { type: "error", timeout: 4000 });
+        // Office error codes become actionable text; the log keeps the raw message
+        const shown = window.ExcelRunner ? ExcelRunner.userMessage(err) : msg;
+        this.notify((context ? context + ": " : "") + shown, { type: "error", timeout: 4000 });
 
-        // Async log to workbook; rate-limited & failures swallowed
-        if (typeof Excel !== "undefined" && Office?.context?.host) {
-          if (!this._consume(this._rate.log)) {
-            if (!this._rate.log.suppressed && this.env.dev) {
-              this._rate.log.suppressed = true;
-              this.notify("Too many errors — logging suppressed temporarily.", { type: "error" });
-            }
-          } else {
-            setTimeout(() => {
-              try {
-                Excel.run(async (ctx) => {
-                  let ws = ctx.workbook.worksheets.getItemOrNullObject("_Logs");
-                  await ctx.sync();
-                  if (ws.isNullObject) ws = ctx.workbook.worksheets.add("_Logs");
-
-                  const header = ws.getRange("A1:D1");
-                  header.load("values");
-                  await ctx.sync();
-
-                  if (!header.values?.[0]?.[0]) {
-                    ws.getRange("A1:D1").values = [["Timestamp", "Context", "Message", "Stack"]];
-                  }
-                  const row = [[
-                    new Date().toISOString(),
-                    context || "",
-                    msg,
-                    stack ? stack.slice(0, 8000) : ""
-                  ]];
-                  const used = ws.getUsedRangeOrNullObject();
-                  used.load("rowCount");
-                  await ctx.sync();
-                  const nextRow = (used.isNullObject ? 1 : used.rowCount) + 1;
-                  ws.getRange(`A${nextRow}:D${nextRow}`).values = row;
-
-                  try { ws.visibility = Excel.SheetVisibility.hidden; } catch {}
-                  await ctx.sync();
-                }).catch(() => {});
-              } catch { /* ignore logging failures */ }
-            }, 0);
-          }
-        }
+        this.log("error", err, context, trail);
       } catch (inner) {
         try { console.error("Error in handleError:", inner); } catch {}
       } finally {
@@ -198,10 +343,323 @@
       }
     },
 
+    setScope(patch) {
+      Object.assign(this.scope, patch);
+    },
+
+    // Office version/platform are only known once Office is ready
+    hostInfo() {
+      try {
+        const d = Office?.context?.diagnostics;
+        if (d) return { host: `${d.host || ""} ${d.version || ""}`.trim(), platform: String(d.platform || "") };
+      } catch {}
+      return { host: "", platform: (navigator.userAgent || "").slice(0, 200) };
+    },
+
+    // Office errors are logged with their code: "ItemNotFound: The requested resource doesn't exist."
+    _logMessage(err) {
+      const msg = (err && err.message) ? err.message : this.safeToString(err);
+      const code = window.ExcelRunner ? ExcelRunner.classify(err).code : "";
+      return code && !msg.startsWith(code) ? `${code}: ${msg}` : msg;
+    },
+
+    _entry(severity, err, context, trail) {
+      const { host, platform } = this.hostInfo();
+      return {
+        ts: new Date().toISOString(),
+        severity,
+        context: context || "",
+        message: this._logMessage(err),
+        form: this.scope.form || "",
+        sheet: this.scope.sheet || "",
+        session: this.sessionId,
+        version: this.version,
+        host,
+        platform,
+        stack: err && err.stack ? String(err.stack).slice(0, 8000) : "",
+        breadcrumbs: trail.slice(-8000)
+      };
+    },
+
+    // Queues the entry on every transport; failures are swallowed
+    log(severity, err, context = "", trail = this.formatBreadcrumbs()) {
+      try {
+        const entry = this._entry(severity, err, context, trail);
+        for (const state of this._transports.values()) this._enqueue(state, entry);
+      } catch { /* ignore logging failures */ }
+    },
+
+    // --- transports ---
+    addTransport(transport) {
+      if (!transport || !transport.name || typeof transport.send !== "function") {
+        throw new Error("A transport needs a name and a send(entries) function");
+      }
+      this.removeTransport(transport.name);
+      const { max = 20, refillMs = 60000 } = transport.rate || {};
+      this._rate[transport.name] = { tokens: max, max, refillMs, last: Date.now(), suppressed: false };
+      const state = { transport, queue: [], attempt: 0, timer: null, sending: false, storeKey: this._queueKey(transport.name) };
+      this._transports.set(transport.name, state);
+      if (transport.persist) this._restoreQueue(state);
+      return transport;
+    },
+
+    removeTransport(name) {
+      const state = this._transports.get(name);
+      if (!state) return;
+      clearTimeout(state.timer);
+      this._transports.delete(name);
+      delete this._rate[name];
+    },
+
+    flush() {
+      for (const state of this._transports.values()) this._flushQueue(state);
+    },
+
+    addScrubRule(pattern, replacement = "[redacted]") {
+      this.scrubRules.push({ pattern, replacement });
+    },
+
+    _scrub(entry) {
+      const out = { ...entry };
+      for (const key of ["context", "message", "form", "sheet", "stack", "breadcrumbs"]) {
+        let text = String(out[key] ?? "");
+        for (const { pattern, replacement } of this.scrubRules) {
+          try { text = text.replace(pattern, replacement); } catch {}
+        }
+        out[key] = text;
+      }
+      return out;
+    },
+
+    _enqueue(state, entry) {
+      state.queue.push(state.transport.scrub === false ? entry : this._scrub(entry));
+      if (state.queue.length > QUEUE_LIMIT) state.queue.splice(0, state.queue.length - QUEUE_LIMIT);
+      this._saveQueue(state);
+      this._flushQueue(state);
+    },
+
+    _schedule(state, ms) {
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => { state.timer = null; this._flushQueue(state); }, ms);
+    },
+
+    async _flushQueue(state) {
+      const t = state.transport;
+      if (state.sending || !state.queue.length || this._transports.get(t.name) !== state) return;
+      if (t.needsNetwork && navigator.onLine === false) return; // the "online" event resumes
+      if (t.available && !t.available()) { this._schedule(state, RETRY_BASE_MS); return; }
+
+      const bucket = this._rate[t.name];
+      this._refill(bucket);
+      const n = Math.min(bucket.tokens, t.batchSize || 20, state.queue.length);
+      if (n <= 0) {
+        this._schedule(state, Math.max(250, bucket.refillMs - (Date.now() - bucket.last)));
+        return;
+      }
+      bucket.tokens -= n;
+
+      const batch = state.queue.slice(0, n);
+      let retryIn = 0;
+      state.sending = true;
+      try {
+        await t.send(batch);
+        state.attempt = 0;
+        state.queue = state.queue.filter(e => !batch.includes(e));
+      } catch (e) {
+        if (e && e.retryable === false) {
+          state.queue = state.queue.filter(e => !batch.includes(e));
+          if (this.env.dev) { try { console.warn(`Log transport "${t.name}" dropped ${n} entries:`, e); } catch {} }
+        } else {
+          // 2s, 4s, 8s … capped, with jitter so reopened panes don't retry in step
+          retryIn = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** state.attempt++) * (0.75 + Math.random() / 2);
+        }
+      } finally {
+        state.sending = false;
+      }
+      this._saveQueue(state);
+      if (retryIn) this._schedule(state, retryIn);
+      else if (state.queue.length) this._flushQueue(state);
+    },
+
+    async _saveQueue(state) {
+      if (!state.transport.persist) return;
+      const key = state.storeKey;
+      try {
+        await queueStore.set(key, JSON.stringify(state.queue));
+      } catch {
+        // Over quota: keep the newer half rather than nothing
+        try { await queueStore.set(key, JSON.stringify(state.queue.slice(-Math.floor(QUEUE_LIMIT / 2)))); } catch {}
+      }
+    },
+
+    _queueKey(name) {
+      let doc = "";
+      try { doc = Office.context.document.url || ""; } catch {}
+      return `${QUEUE_KEY}${name}.${doc || this.sessionId}`;
+    },
+
+    async _restoreQueue(state) {
+      try {
+        const saved = JSON.parse((await queueStore.get(state.storeKey)) || "[]");
+        if (Array.isArray(saved) && saved.length) {
+          state.queue = [...saved, ...state.queue].slice(-QUEUE_LIMIT);
+          this._flushQueue(state);
+        }
+      } catch { /* a corrupt queue is dropped */ }
+    },
+
+    // _Logs itself: this workbook only, so entries are kept unscrubbed and not persisted
+    _workbookTransport() {
+      return {
+        name: "workbook",
+        rate: { max: 20, refillMs: 60000 },
+        batchSize: 20,
+        scrub: false,
+        available: () => typeof Excel !== "undefined" && !!Office?.context?.host,
+        send: (entries) => {
+          // One append at a time, or two batches would claim the same rows
+          const run = this._logChain.then(() => runExcel(ctx => this._appendLog(ctx, entries), { quiet: true }));
+          this._logChain = run.catch(() => {});
+          return run.then(() => {
+            for (const entry of entries) window.dispatchEvent(new CustomEvent("errorhandler:logged", { detail: entry }));
+          }, (e) => {
+            // A protected sheet or a rejected value fails the same way every time: drop the batch
+            if (window.ExcelRunner && !ExcelRunner.classify(e).retryable) {
+              throw Object.assign(new Error(`_Logs append failed: ${ExcelRunner.userMessage(e)}`), { retryable: false, cause: e });
+            }
+            throw e;
+          });
+        }
+      };
+    },
+
+    async _ensureLogSheet(ctx) {
+      let ws = ctx.workbook.worksheets.getItemOrNullObject(LOG_SHEET);
+      await ctx.sync();
+      if (ws.isNullObject) ws = ctx.workbook.worksheets.add(LOG_SHEET);
+      const header = ws.getRange(`A1:${LOG_LAST_COL}1`);
+      header.load("values");
+      await ctx.sync();
+      const first = header.values?.[0] || [];
+      if (!first[0]) header.values = [LOG_COLUMNS];
+      else if (first[1] !== "Severity") await this._upgradeLegacyLog(ctx, ws);
+      try { ws.visibility = Excel.SheetVisibility.hidden; } catch {}
+      return ws;
+    },
+
+    // Rows from before structured logging: Timestamp | Context | Message | Stack [| Breadcrumbs]
+    async _upgradeLegacyLog(ctx, ws) {
+      const used = ws.getUsedRange();
+      used.load("values");
+      await ctx.sync();
+      const rows = used.values.slice(1).slice(-this.logs.limit).map(r => {
+        const row = LOG_KEYS.map(() => "");
+        row[0] = r[0]; row[1] = "error"; row[2] = r[1]; row[3] = r[2];
+        row[10] = r[3] ?? ""; row[11] = r[4] ?? "";
+        return row;
+      });
+      used.clear();
+      const block = [LOG_COLUMNS, ...rows];
+      const rng = ws.getRange(`A1:${LOG_LAST_COL}${block.length}`);
+      rng.numberFormat = block.map(() => LOG_COLUMNS.map(() => "@"));
+      rng.values = block;
+      await ctx.sync();
+    },
+
+    async _appendLog(ctx, entries) {
+      const ws = await this._ensureLogSheet(ctx);
+      const used = ws.getUsedRangeOrNullObject();
+      used.load("rowCount");
+      await ctx.sync();
+      const first = (used.isNullObject ? 1 : used.rowCount) + 1;
+      const last = first + entries.length - 1;
+      const rng = ws.getRange(`A${first}:${LOG_LAST_COL}${last}`);
+      rng.numberFormat = entries.map(() => LOG_COLUMNS.map(() => "@")); // messages like "=x" stay text
+      rng.values = entries.map(entry => LOG_KEYS.map(k => entry[k]));
+
+      // Trim to limit (keep newest)
+      const maxRows = this.logs.limit + 1; // header + N
+      if (last > maxRows) {
+        ws.getRange(`A2:${LOG_LAST_COL}${1 + last - maxRows}`).delete(Excel.DeleteShiftDirection.up);
+      }
+      await ctx.sync();
+    },
+
+    async readLogs() {
+      await this._logChain;
+      return await runExcel(async (ctx) => {
+        const ws = ctx.workbook.worksheets.getItemOrNullObject(LOG_SHEET);
+        await ctx.sync();
+        if (ws.isNullObject) return [];
+        await this._ensureLogSheet(ctx);
+        const used = ws.getUsedRangeOrNullObject();
+        used.load("values");
+        await ctx.sync();
+        if (used.isNullObject) return [];
+        return used.values.slice(1).map(r => Object.fromEntries(LOG_KEYS.map((k, i) => [k, String(r[i] ?? "")])));
+      });
+    },
+
+    clearLogs() {
+      const run = this._logChain.then(() => runExcel(async (ctx) => {
+        const ws = ctx.workbook.worksheets.getItemOrNullObject(LOG_SHEET);
+        await ctx.sync();
+        if (ws.isNullObject) return;
+        const used = ws.getUsedRangeOrNullObject();
+        used.load("rowCount");
+        await ctx.sync();
+        if (!used.isNullObject && used.rowCount > 1) {
+          ws.getRange(`A2:${LOG_LAST_COL}${used.rowCount}`).delete(Excel.DeleteShiftDirection.up);
+          await ctx.sync();
+        }
+      }));
+      this._logChain = run.catch(() => {}); // a failed clear must not stall later appends
+      return run;
+    },
+
+    async exportLogs(format = "csv") {
+      const rows = await this.readLogs();
+      if (format === "json") return JSON.stringify(rows, null, 2);
+      const cell = (v) => /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+      return [LOG_COLUMNS, ...rows.map(r => LOG_KEYS.map(k => r[k]))]
+        .map(r => r.map(cell).join(","))
+        .join("\r\n");
+    },
+
+    error(err, context = "") {
+      return this.handleError(err, context);
+    },
+
+    handle(err, context = "") {
+      return this.handleError(err, context);
+    },
+
+    // Recoverable problems: a missing API, a bad attribute, a failed refresh
+    warn(err, context = "") {
+      try {
+        const msg = (err && err.message) ? err.message : this.safeToString(err);
+        const trail = this.formatBreadcrumbs();
+        this.breadcrumb("warn", (context ? context + ": " : "") + msg);
+        if (this.env.dev) console.warn("⚠️", context, err);
+        if (!this.shouldDedupe(this.signature(err, context))) this.log("warn", err, context, trail);
+      } catch { /* never throw from warn */ }
+    },
+
+    info(message, context = "") {
+      try {
+        this.breadcrumb("info", (context ? context + ": " : "") + this.safeToString(message));
+        if (this.env.dev) console.info(context, message);
+      } catch { /* never throw from info */ }
+    },
+
     bindGlobalHandlers() {
       if (window.__EH_BOUND__) return;
       window.__EH_BOUND__ = true;
 
+      window.addEventListener("online", () => {
+        try { this.flush(); } catch {}
+      });
+
       window.addEventListener("unhandledrejection", (e) => {
         try { e && typeof e.preventDefault === "function" && e.preventDefault(); } catch {}
         try { this.handleError(e?.reason, "unhandledrejection"); } catch {}
@@ -226,6 +684,7 @@
     },
   };
 
+  EH.addTransport(EH._workbookTransport());
   EH.bindGlobalHandlers();
   window.ErrorHandler = EH;
 })();
@@ -0,0 +1,143 @@
+/* Shared Excel.run wrapper: classifies Office errors, retries transient ones and
+   turns error codes into messages a user can act on.
+   - Busy / throttled / co-authoring conflicts: retried with exponential backoff
+   - Cell edit mode: retried for longer, while the pane asks the user to finish editing
+   - Payload limits, missing items, protection, unsupported APIs: fail at once
+   While a run is waiting to retry, #excelWaiting shows what it is waiting for and
+   the form in #app takes no clicks or keystrokes.
+
+   Public API (window.ExcelRunner):
+     run(fn, opts) / run(batchObject, fn, opts)   drop-in for Excel.run
+       opts.retries   retry budget for busy errors (default 4; edit mode gets 15)
+       opts.quiet     no waiting UI (background work such as logging)
+       opts.label     breadcrumb text for retries
+     classify(err)    { kind, code, retryable }
+     userMessage(err) message for a toast; plain Errors keep their own message
+
+   fn may run more than once. Excel rejects the whole batch that hit a busy or
+   edit-mode error, so re-running is safe as long as earlier syncs in fn only
+   read, or wrote values that the next attempt writes again. Pass retries: 0
+   where that does not hold, such as runs that register event handlers (each
+   onX.add() is committed at once, so a re-run would register it twice) or
+   that wait on a dialog.
+*/
+(function () {
+  if (window.ExcelRunner) return;
+
+  const BASE_DELAY_MS = 500;
+  const MAX_DELAY_MS = 8000;
+  const EDIT_MODE_DELAY_MS = 2000;
+  const EDIT_MODE_RETRIES = 15; // ~30s for the user to leave the cell
+
+  // kind → Office error codes; anything else with a code is "excel"
+  const KINDS = {
+    editMode: ["InvalidOperationInCellEditMode"],
+    busy: ["ActivityLimitReached", "ServiceNotAvailable", "RequestAborted", "Timeout", "Conflict", "GeneralException"],
+    tooLarge: ["RequestPayloadSizeLimitExceeded", "ResponsePayloadSizeLimitExceeded", "PayloadTooLarge", "MemoryLimitReached", "RangeExceedsLimit"],
+    notFound: ["ItemNotFound", "InvalidReference"],
+    denied: ["AccessDenied", "Unauthenticated"],
+    unsupported: ["ApiNotFound", "NotImplemented", "UnsupportedOperation", "UnsupportedSheet"]
+  };
+
+  const MESSAGES = {
+    editMode: "Excel is editing a cell. Press Enter or Esc in the cell, then try again.",
+    busy: "Excel is busy right now. Try again in a moment.",
+    tooLarge: "That is more data than Excel can handle in one request. Try a smaller range or fewer rows.",
+    notFound: "A sheet, table, range or name the form needs was not found. It may have been renamed or deleted.",
+    denied: "Excel did not allow the change. The sheet or workbook may be protected, or it is read-only for you.",
+    unsupported: "This version of Excel does not support that feature."
+  };
+
+  const WAITING_TEXT = {
+    editMode: "Waiting for Excel: finish editing the cell (Enter or Esc) to continue…",
+    busy: "Waiting for Excel…"
+  };
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  function isOfficeError(err) {
+    if (!err || typeof err !== "object") return false;
+    try {
+      if (typeof OfficeExtension !== "undefined" && err instanceof OfficeExtension.Error) return true;
+    } catch {}
+    return typeof err.code === "string" && "debugInfo" in err;
+  }
+
+  function classify(err) {
+    if (!isOfficeError(err)) return { kind: "app", code: "", retryable: false };
+    const code = String(err.code);
+    let kind = Object.keys(KINDS).find(k => KINDS[k].includes(code)) || "excel";
+    // GeneralException covers everything from "Excel is busy" to real failures
+    if (code === "GeneralException" && !/busy|try again|temporar/i.test(String(err.message || ""))) kind = "excel";
+    return { kind, code, retryable: kind === "busy" || kind === "editMode" };
+  }
+
+  function userMessage(err) {
+    if (err && err.userMessage) return err.userMessage;
+    const { kind, code } = classify(err);
+    if (MESSAGES[kind]) return MESSAGES[kind];
+    if (kind === "excel") return `Excel could not complete the request (${code}).`;
+    return (err && err.message) ? err.message : String(err);
+  }
+
+  // --- waiting UI: one bar for all runs that are between retries ---
+  const waiting = new Map(); // token → kind
+
+  function updateWaitingUi() {
+    const kinds = [...waiting.values()];
+    const kind = kinds.includes("editMode") ? "editMode" : kinds.length ? "busy" : "";
+    document.body?.classList.toggle("is-waiting-excel", !!kind); // pointer lock where inert is missing
+    const app = document.getElementById("app");
+    if (app) app.inert = !!kind;
+    const bar = document.getElementById("excelWaiting");
+    if (!bar) return;
+    bar.hidden = !kind;
+    bar.textContent = kind ? WAITING_TEXT[kind] : "";
+  }
+
+  function setWaiting(token, kind) {
+    if (kind) waiting.set(token, kind);
+    else waiting.delete(token);
+    updateWaitingUi();
+  }
+
+  function retryDelay(kind, attempt) {
+    if (kind === "editMode") return EDIT_MODE_DELAY_MS;
+    return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt) * (0.75 + Math.random() / 2);
+  }
+
+  async function run(...args) {
+    const fnIndex = args.findIndex(a => typeof a === "function");
+    if (fnIndex < 0) throw new TypeError("ExcelRunner.run needs a batch function");
+    const batchArgs = args.slice(0, fnIndex + 1);
+    const { retries = 4, quiet = false, label = "" } = args[fnIndex + 1] || {};
+    const token = {};
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await Excel.run(...batchArgs);
+        } catch (err) {
+          const { kind, code, retryable } = classify(err);
+          const budget = kind === "editMode" && retries > 0 ? Math.max(EDIT_MODE_RETRIES, retries) : retries;
+          if (!retryable || attempt >= budget) {
+            if (kind !== "app") {
+              try {
+                err.excelKind = kind;
+                err.userMessage = userMessage(err);
+              } catch { /* frozen error objects keep the raw message */ }
+            }
+            throw err;
+          }
+          window.ErrorHandler?.breadcrumb("excel", `retry ${code}`, `${label ? label + ", " : ""}attempt ${attempt + 1}`);
+          if (!quiet) setWaiting(token, kind);
+          await sleep(retryDelay(kind, attempt));
+        }
+      }
+    } finally {
+      if (!quiet) setWaiting(token, null);
+    }
+  }
+
+  window.ExcelRunner = { run, classify, userMessage };
+})();
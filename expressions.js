@@ -0,0 +1,367 @@
+// Form expressions: data-show-if, data-enable-if and data-compute
+
+/**
+ * Markup:
+ *   <div class="row" data-show-if="shipping == 'Express'">…</div>
+ *   <button data-enable-if="qty > 0 and not empty(customer)">…</button>
+ *   <input name="total" data-compute="round(qty * price, 2)"/>
+ *
+ * data-show-if hides the element while the expression is falsy, data-enable-if
+ * disables it (or every control inside it), and data-compute makes the control
+ * read-only and keeps it set to the expression's value. A computed control that
+ * also has data-bind is written like an edit.
+ *
+ * The language is parsed here, never passed to eval:
+ *   literals     12, 1.5, 'text', "text", true, false, null
+ *   fields       qty, customer — a control's name, else its id
+ *   operators    or || and && not ! == (or =) != (or <>) < <= > >= + - * / %
+ *                and a ? b : c
+ *   functions    cell("Settings!B3") reads a bound cell or name; also if, round,
+ *                min, max, abs, sum, len, empty, lower, upper, contains
+ *
+ * Numeric fields (type=number, data-type number/percent/currency) evaluate to
+ * numbers (percent fields as typed, 15 for "15%"), checkboxes to true/false,
+ * multi-selects to a list, and everything else to its text. "+" adds when both
+ * sides are numbers and joins text otherwise; comparisons are numeric when both
+ * sides look like numbers. cell() values are loaded by the bound-control refresh,
+ * so they follow workbook changes like any data-bind.
+ */
+const expressionStates = new WeakMap(); // container → { rules, cellRefs, cells }
+const compiledExpressions = new Map(); // source → AST
+
+const EXPRESSION_ATTRS = [
+  { attr: "showIf", name: "data-show-if" },
+  { attr: "enableIf", name: "data-enable-if" },
+  { attr: "compute", name: "data-compute" }
+];
+
+function wireExpressions(container, formContext) {
+  const rules = [];
+  const cellRefs = new Set();
+  for (const { attr, name } of EXPRESSION_ATTRS) {
+    container.querySelectorAll(`[${name}]`).forEach((el) => {
+      const source = el.dataset[attr];
+      try {
+        const ast = compileExpression(source);
+        collectCellRefs(ast, cellRefs);
+        rules.push({ el, kind: attr, source, ast });
+        if (attr === "compute") el.readOnly = true;
+      } catch (e) {
+        reportOnce(`expr:${source}`, new Error(`${name}="${source}": ${e.message}`), "Expressions");
+      }
+    });
+  }
+  expressionStates.delete(container);
+  if (!rules.length) return;
+  expressionStates.set(container, { rules, cellRefs: [...cellRefs], cells: new Map() });
+
+  const run = () => evaluateExpressions(container);
+  formContext.listen(container, "input", run);
+  formContext.listen(container, "change", run);
+  run();
+}
+
+// Static cell("…") references of the form; refreshBoundControls loads them with the binds
+function expressionCellRefs(container) {
+  return expressionStates.get(container)?.cellRefs || [];
+}
+
+function setExpressionCells(container, loaded) {
+  const state = expressionStates.get(container);
+  if (!state) return;
+  for (const { ref, values } of loaded) state.cells.set(ref, values);
+}
+
+// Accepts the form container or any element inside it (record forms pass their root)
+function evaluateExpressions(node) {
+  let container = node;
+  while (container && !expressionStates.has(container)) container = container.parentElement;
+  const state = container && expressionStates.get(container);
+  if (!state) return;
+  const scope = {
+    field: (id) => fieldValue(container, id),
+    cell: (ref) => {
+      const values = state.cells.get(ref);
+      if (!values) return null;
+      return isMultiCell(values) ? values.flat() : values[0][0];
+    }
+  };
+  // Computed values first so conditions see them
+  const ordered = [...state.rules].sort((a, b) => (a.kind === "compute" ? 0 : 1) - (b.kind === "compute" ? 0 : 1));
+  for (const rule of ordered) {
+    let value;
+    try {
+      value = evalExpression(rule.ast, scope);
+    } catch (e) {
+      reportOnce(`expr:${rule.source}`, new Error(`Expression "${rule.source}": ${e.message}`), "Expressions");
+      continue;
+    }
+    if (rule.kind === "showIf") rule.el.hidden = !truthy(value);
+    else if (rule.kind === "enableIf") setExpressionEnabled(rule.el, truthy(value));
+    else setComputedValue(rule.el, value);
+  }
+}
+
+// Hidden controls (inside a falsy data-show-if) are not validated
+function isHiddenByExpression(el) {
+  for (let host = el.closest("[data-show-if]"); host; host = host.parentElement?.closest("[data-show-if]")) {
+    if (host.hidden) return true;
+  }
+  return false;
+}
+
+// Only re-enables what an expression disabled, so record forms keep their own state
+const expressionDisabled = new WeakSet();
+
+function setExpressionEnabled(el, enabled) {
+  const targets = "disabled" in el ? [el] : [...el.querySelectorAll("input, select, textarea, button")];
+  for (const t of targets) {
+    if (!enabled && !t.disabled) { t.disabled = true; expressionDisabled.add(t); }
+    else if (enabled && expressionDisabled.has(t)) { t.disabled = false; expressionDisabled.delete(t); }
+  }
+  el.classList.toggle("is-disabled", !enabled);
+}
+
+function setComputedValue(el, value) {
+  const text = value === null || value === undefined || (typeof value === "number" && !Number.isFinite(value)) ? ""
+    : Array.isArray(value) ? value.join(listDelimiter(el))
+    : typeof value === "number" ? String(+value.toPrecision(15))
+    : String(value);
+  if (el.type === "checkbox") {
+    if (el.checked === truthy(value)) return;
+    el.checked = truthy(value);
+  } else if ("value" in el && el.tagName !== "BUTTON") {
+    if (el.value === text) return;
+    el.value = text;
+  } else {
+    if (el.textContent === text) return;
+    el.textContent = text;
+    return;
+  }
+  // Bound computed fields go through the normal draft/save path
+  if (el.dataset.bind) {
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+}
+
+function fieldValue(container, id) {
+  const esc = CSS.escape(id);
+  const radios = container.querySelectorAll(`input[type=radio][name="${esc}"]`);
+  if (radios.length) return [...radios].find(r => r.checked)?.value ?? null;
+  const el = container.querySelector(`[name="${esc}"]`) || container.querySelector(`#${esc}`);
+  if (!el) throw new Error(`no field named "${id}"`);
+  const t = (el.dataset.type || "").toLowerCase();
+  if (el.type === "checkbox" || t === "boolean") return el.checked;
+  if (el.multiple) return [...el.selectedOptions].map(o => o.value);
+  if (!("value" in el) || el.tagName === "BUTTON") return el.textContent.trim();
+  const text = String(el.value ?? "").trim();
+  if (el.type === "number" || t === "number" || t === "percent" || t === "currency") {
+    if (!text) return null;
+    const n = t === "number" || el.type === "number" ? Number(text) : parseLooseNumber(text.replace("%", ""));
+    return Number.isFinite(n) ? n : text;
+  }
+  return el.value;
+}
+
+// ---------- Parser ----------
+
+const EXPR_TOKEN = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][\w]*)|(\|\||&&|==|!=|<>|<=|>=|[-+*/%<>=!?:(),]))/y;
+
+function tokenizeExpression(source) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < source.length) {
+    if (!source.slice(pos).trim()) break;
+    EXPR_TOKEN.lastIndex = pos;
+    const m = EXPR_TOKEN.exec(source);
+    if (!m) throw new Error(`unexpected "${source.slice(pos).trim()[0]}" at ${pos + 1}`);
+    pos = EXPR_TOKEN.lastIndex;
+    if (m[1] !== undefined) tokens.push({ type: "num", value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: "str", value: m[2].slice(1, -1).replace(/\\(.)/g, "$1") });
+    else if (m[3] !== undefined) tokens.push({ type: "id", value: m[3] });
+    else tokens.push({ type: "op", value: m[4] });
+  }
+  return tokens;
+}
+
+const EXPR_WORDS = { or: "||", and: "&&", not: "!" };
+const EXPR_BINARY = [["||"], ["&&"], ["==", "=", "!=", "<>"], ["<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]];
+
+function compileExpression(source) {
+  const text = String(source ?? "").trim();
+  if (!text) throw new Error("empty expression");
+  if (compiledExpressions.has(text)) return compiledExpressions.get(text);
+
+  const tokens = tokenizeExpression(text).map(t =>
+    t.type === "id" && EXPR_WORDS[t.value.toLowerCase()] ? { type: "op", value: EXPR_WORDS[t.value.toLowerCase()] } : t);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`expected "${v}"${peek() ? ` before "${peek().value}"` : " at end"}`);
+    i++;
+  };
+
+  const parseTernary = () => {
+    const test = parseBinary(0);
+    if (!isOp("?")) return test;
+    i++;
+    const then = parseTernary();
+    expect(":");
+    return { type: "if", test, then, else: parseTernary() };
+  };
+  const parseBinary = (level) => {
+    if (level === EXPR_BINARY.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek()?.type === "op" && EXPR_BINARY[level].includes(peek().value)) {
+      const op = tokens[i++].value;
+      left = { type: "bin", op: op === "<>" ? "!=" : op === "=" ? "==" : op, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  };
+  const parseUnary = () => {
+    if (isOp("!") || isOp("-")) {
+      const op = tokens[i++].value;
+      return { type: "unary", op, arg: parseUnary() };
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const t = tokens[i++];
+    if (!t) throw new Error("unexpected end of expression");
+    if (t.type === "num" || t.type === "str") return { type: "lit", value: t.value };
+    if (t.type === "op" && t.value === "(") {
+      const inner = parseTernary();
+      expect(")");
+      return inner;
+    }
+    if (t.type === "id") {
+      const word = t.value.toLowerCase();
+      if (word === "true" || word === "false") return { type: "lit", value: word === "true" };
+      if (word === "null") return { type: "lit", value: null };
+      if (!isOp("(")) return { type: "field", name: t.value };
+      i++;
+      const fn = word;
+      if (!Object.prototype.hasOwnProperty.call(EXPR_FUNCTIONS, fn)) throw new Error(`unknown function "${t.value}"`);
+      const args = [];
+      while (!isOp(")")) {
+        if (args.length) expect(",");
+        args.push(parseTernary());
+      }
+      expect(")");
+      return { type: "call", fn, args };
+    }
+    throw new Error(`unexpected "${t.value}"`);
+  };
+
+  const ast = parseTernary();
+  if (i < tokens.length) throw new Error(`unexpected "${tokens[i].value}"`);
+  compiledExpressions.set(text, ast);
+  return ast;
+}
+
+function collectCellRefs(node, out) {
+  if (!node || typeof node !== "object") return;
+  if (node.type === "call" && node.fn === "cell") {
+    const arg = node.args[0];
+    if (node.args.length !== 1 || arg.type !== "lit" || typeof arg.value !== "string") {
+      throw new Error('cell() takes one quoted reference, e.g. cell("Settings!B3")');
+    }
+    out.add(arg.value.trim());
+    return;
+  }
+  for (const child of [node.left, node.right, node.arg, node.test, node.then, node.else, ...(node.args || [])]) {
+    collectCellRefs(child, out);
+  }
+}
+
+// ---------- Evaluator ----------
+
+function truthy(v) {
+  if (Array.isArray(v)) return v.length > 0;
+  if (typeof v === "string") return v.trim() !== "" && v.trim().toLowerCase() !== "false";
+  return !!v && !(typeof v === "number" && Number.isNaN(v));
+}
+
+function asNumber(v) {
+  if (typeof v === "number") return v;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (v === null || v === undefined || String(v).trim() === "") return NaN;
+  return Number(String(v).trim());
+}
+
+function bothNumeric(a, b) {
+  return Number.isFinite(asNumber(a)) && Number.isFinite(asNumber(b)) && typeof a !== "boolean" && typeof b !== "boolean";
+}
+
+function looseEquals(a, b) {
+  if (bothNumeric(a, b)) return asNumber(a) === asNumber(b);
+  if (typeof a === "boolean" || typeof b === "boolean") return truthy(a) === truthy(b);
+  const norm = (v) => (v === null || v === undefined ? "" : Array.isArray(v) ? v.join(", ") : String(v));
+  return norm(a) === norm(b);
+}
+
+function compareValues(a, b) {
+  if (bothNumeric(a, b)) return asNumber(a) - asNumber(b);
+  return String(a ?? "").localeCompare(String(b ?? ""));
+}
+
+const EXPR_FUNCTIONS = {
+  cell: (scope, ref) => scope.cell(String(ref).trim()),
+  if: null, // evaluated lazily in evalExpression
+  round: (scope, x, digits = 0) => {
+    const f = 10 ** asNumber(digits);
+    return Math.round(asNumber(x) * f) / f;
+  },
+  min: (scope, ...xs) => Math.min(...xs.flat().map(asNumber).filter(Number.isFinite)),
+  max: (scope, ...xs) => Math.max(...xs.flat().map(asNumber).filter(Number.isFinite)),
+  abs: (scope, x) => Math.abs(asNumber(x)),
+  sum: (scope, ...xs) => xs.flat().map(asNumber).filter(Number.isFinite).reduce((s, n) => s + n, 0),
+  len: (scope, x) => (Array.isArray(x) ? x.length : String(x ?? "").length),
+  empty: (scope, x) => (Array.isArray(x) ? x.length === 0 : x === null || x === undefined || String(x).trim() === ""),
+  lower: (scope, x) => String(x ?? "").toLowerCase(),
+  upper: (scope, x) => String(x ?? "").toUpperCase(),
+  contains: (scope, x, part) => (Array.isArray(x) ? x.some(v => looseEquals(v, part))
+    : String(x ?? "").toLowerCase().includes(String(part ?? "").toLowerCase()))
+};
+
+function evalExpression(node, scope) {
+  switch (node.type) {
+    case "lit": return node.value;
+    case "field": return scope.field(node.name);
+    case "if": return truthy(evalExpression(node.test, scope)) ? evalExpression(node.then, scope) : evalExpression(node.else, scope);
+    case "unary": {
+      const v = evalExpression(node.arg, scope);
+      return node.op === "!" ? !truthy(v) : -asNumber(v);
+    }
+    case "call": {
+      // if() only evaluates the branch it returns
+      if (node.fn === "if") {
+        const [test, a, b] = node.args;
+        return truthy(evalExpression(test, scope)) ? evalExpression(a, scope) : (b ? evalExpression(b, scope) : null);
+      }
+      return EXPR_FUNCTIONS[node.fn](scope, ...node.args.map(a => evalExpression(a, scope)));
+    }
+    case "bin": {
+      if (node.op === "||") return truthy(evalExpression(node.left, scope)) || truthy(evalExpression(node.right, scope));
+      if (node.op === "&&") return truthy(evalExpression(node.left, scope)) && truthy(evalExpression(node.right, scope));
+      const a = evalExpression(node.left, scope);
+      const b = evalExpression(node.right, scope);
+      switch (node.op) {
+        case "==": return looseEquals(a, b);
+        case "!=": return !looseEquals(a, b);
+        case "<": return compareValues(a, b) < 0;
+        case "<=": return compareValues(a, b) <= 0;
+        case ">": return compareValues(a, b) > 0;
+        case ">=": return compareValues(a, b) >= 0;
+        case "+": return bothNumeric(a, b) ? asNumber(a) + asNumber(b) : `${a ?? ""}${b ?? ""}`;
+        case "-": return asNumber(a) - asNumber(b);
+        case "*": return asNumber(a) * asNumber(b);
+        case "/": return asNumber(a) / asNumber(b);
+        case "%": return asNumber(a) % asNumber(b);
+      }
+    }
+  }
+  throw new Error(`cannot evaluate ${node.type}`);
+}
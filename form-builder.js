@@ -0,0 +1,287 @@
+// Schema-driven forms: JSON definitions or rows of the _Forms sheet rendered as .form-card markup
+
+/**
+ * A schema describes one form:
+ *   {
+ *     "id": "expenses", "title": "Expenses", "description": "…",
+ *     "table": "Expenses",          // optional: record mode (fields use "column")
+ *     "saveMode": "explicit",       // optional: adds Cancel / Save buttons
+ *     "fields": [
+ *       { "label": "Amount", "name": "amount", "type": "currency", "bind": "B3",
+ *         "required": true, "min": 0 },
+ *       { "label": "Category", "type": "select", "options": ["Travel", "Meals"] },
+ *       { "label": "Tags", "type": "list", "options": "TagList" }
+ *     ]
+ *   }
+ *
+ * Field keys map onto the data-* attributes the hand-written forms use: bind,
+ * column, required, min, max, maxlength, pattern, validator, message, format,
+ * delimiter, showIf, enableIf, compute; plus placeholder, rows (textarea) and
+ * readonly. "options" is a list of values or a range/name/Table[Column] source
+ * (data-options-from). Types: text (default), email, tel, url, textarea,
+ * number, currency, percent, date, datetime, boolean, select, list.
+ *
+ * Sources:
+ *   - HtmlMap entries that point at a .json file (its "id" defaults to the key)
+ *   - registerSchemaForm(schema) from a script
+ *   - the _Forms sheet: a header row, then one row per field in display order
+ *     (see FORM_SHEET_COLUMNS); Title, Description, Table and Save Mode are read
+ *     from the first row of each form that sets them. Options written as
+ *     "a; b; c" are a fixed list, otherwise a source. Sheet forms can't reuse an
+ *     HtmlMap id.
+ */
+const SchemaForms = {}; // formId → schema
+const FORMS_SHEET = "_Forms";
+const FIELD_TYPES = ["text", "email", "tel", "url", "textarea", "number", "currency", "percent", "date", "datetime", "boolean", "select", "list"];
+const FORM_SHEET_COLUMNS = {
+  form: ["form", "form id"],
+  title: ["title", "form title"],
+  description: ["description"],
+  table: ["table"],
+  saveMode: ["save mode", "savemode"],
+  label: ["label"],
+  name: ["name", "field"],
+  type: ["type"],
+  bind: ["bind", "address"],
+  column: ["column", "table column"],
+  required: ["required"],
+  min: ["min"],
+  max: ["max"],
+  maxlength: ["max length", "maxlength"],
+  pattern: ["pattern"],
+  options: ["options"],
+  placeholder: ["placeholder"],
+  showIf: ["show if"],
+  enableIf: ["enable if"],
+  compute: ["compute"],
+  message: ["message"],
+  validator: ["validator"],
+  format: ["format", "number format"]
+};
+
+let sheetFormIds = [];
+let formsSub = null;
+let formsReloadTimer = null;
+
+function isKnownForm(formId) {
+  return !!(formId && (HtmlMap[formId] || SchemaForms[formId]));
+}
+
+// Hints, sheet names and _Routes forms are matched case-insensitively ("colorpalette" → "colorPalette")
+function canonicalFormId(formId) {
+  if (!formId || isKnownForm(formId)) return formId;
+  const key = String(formId).toLowerCase();
+  return [...Object.keys(HtmlMap), ...Object.keys(SchemaForms)].find(id => id.toLowerCase() === key) || formId;
+}
+
+// Validates and stores a schema; returns the problems that kept it from registering
+function registerSchemaForm(schema) {
+  const problems = schemaProblems(schema);
+  if (!problems.length) SchemaForms[schema.id] = schema;
+  return problems;
+}
+
+function schemaProblems(schema) {
+  if (!schema || typeof schema !== "object") return ["schema is not an object"];
+  const problems = [];
+  if (!schema.id || !/^[\w-]+$/.test(schema.id)) problems.push(`form id "${schema.id ?? ""}" must be letters, digits, _ or -`);
+  if (!Array.isArray(schema.fields) || !schema.fields.length) problems.push(`form "${schema.id}" has no fields`);
+  (schema.fields || []).forEach((f, i) => {
+    const where = `form "${schema.id}" field ${i + 1}${f.label ? ` (${f.label})` : ""}`;
+    const type = String(f.type || "text").toLowerCase();
+    if (!FIELD_TYPES.includes(type)) problems.push(`${where}: unknown type "${f.type}"`);
+    if (schema.table && !f.column && !f.compute) problems.push(`${where}: record forms need a column`);
+    for (const key of ["showIf", "enableIf", "compute"]) {
+      if (!f[key]) continue;
+      try { compileExpression(f[key]); } catch (e) { problems.push(`${where}: ${key} ${e.message}`); }
+    }
+  });
+  return problems;
+}
+
+// ---------- Markup ----------
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
+
+function fieldName(field, i) {
+  if (field.name) return String(field.name);
+  const slug = String(field.label || field.column || "").replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ""));
+  return slug ? slug[0].toLowerCase() + slug.slice(1) : `field${i + 1}`;
+}
+
+function buildFormHtml(schema) {
+  const cardAttrs = [`class="form-card"`];
+  if (schema.table) cardAttrs.push(`data-table="${escapeHtml(schema.table)}"`);
+  if (schema.saveMode) cardAttrs.push(`data-save-mode="${escapeHtml(schema.saveMode)}"`);
+
+  const rows = schema.fields.map((f, i) => buildFieldHtml(schema, f, i));
+  const actions = schema.saveMode === "explicit" && !schema.table
+    ? `  <div class="actions"><button class="btn" data-action="cancel">Cancel</button><button class="btn primary" data-action="save">Save</button></div>\n`
+    : "";
+  return `<div ${cardAttrs.join(" ")}>\n` +
+    `  <h2>${escapeHtml(schema.title || schema.id)}</h2>\n` +
+    (schema.description ? `  <p>${escapeHtml(schema.description)}</p>\n` : "") +
+    rows.join("") + actions + `</div>\n`;
+}
+
+function buildFieldHtml(schema, f, i) {
+  const type = String(f.type || "text").toLowerCase();
+  const name = fieldName(f, i);
+  const id = `${schema.id}-${name}`;
+  const attrs = [`id="${escapeHtml(id)}"`, `name="${escapeHtml(name)}"`];
+  const data = (key, value) => {
+    if (value === undefined || value === null || value === "" || value === false) return;
+    attrs.push(value === true ? `data-${key}` : `data-${key}="${escapeHtml(value)}"`);
+  };
+  data("bind", f.bind);
+  data("column", f.column);
+  data("required", f.required);
+  data("min", f.min);
+  data("max", f.max);
+  data("maxlength", f.maxlength);
+  data("pattern", f.pattern);
+  data("validator", f.validator);
+  data("message", f.message);
+  data("format", f.format);
+  data("delimiter", f.delimiter);
+  data("compute", f.compute);
+  data("enable-if", f.enableIf);
+  if (f.placeholder) attrs.push(`placeholder="${escapeHtml(f.placeholder)}"`);
+  if (f.readonly) attrs.push("readonly");
+
+  let control;
+  if (type === "textarea") {
+    control = `<textarea ${attrs.join(" ")} rows="${Number(f.rows) || 3}"></textarea>`;
+  } else if (type === "select" || type === "list") {
+    if (type === "list") attrs.push(`multiple data-type="list"`);
+    else attrs.push(`data-type="string"`);
+    let options = "";
+    if (Array.isArray(f.options)) {
+      options = f.options.map(o => `<option>${escapeHtml(o)}</option>`).join("");
+    } else if (f.options) {
+      attrs.push(`data-options-from="${escapeHtml(f.options)}"`);
+    }
+    control = `<select ${attrs.join(" ")}>${options}</select>`;
+  } else {
+    const input = {
+      email: ["email", "string"], tel: ["tel", "string"], url: ["url", "string"],
+      number: ["number", "number"], currency: ["text", "currency"], percent: ["text", "percent"],
+      date: ["date", "date"], datetime: ["datetime-local", "datetime"], boolean: ["checkbox", "boolean"]
+    }[type] || ["text", "string"];
+    control = `<input type="${input[0]}" data-type="${input[1]}" ${attrs.join(" ")}/>`;
+  }
+  const showIf = f.showIf ? ` data-show-if="${escapeHtml(f.showIf)}"` : "";
+  return `  <div class="row"${showIf}><label for="${escapeHtml(id)}">${escapeHtml(f.label || name)}</label>${control}</div>\n`;
+}
+
+// Markup for a form id: a registered schema, a .json file in HtmlMap, or plain HTML
+async function fetchFormMarkup(formId) {
+  if (SchemaForms[formId]) return buildFormHtml(SchemaForms[formId]);
+  const url = HtmlMap[formId] || HtmlMap.default;
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`); // not the server's error page as a form
+  if (!/\.json(?:$|\?)/i.test(url)) return await res.text();
+
+  const schema = { id: formId, ...(await res.json()) };
+  const problems = schemaProblems(schema);
+  if (problems.length) throw new Error(`${url}: ${problems.join("; ")}`);
+  return buildFormHtml(schema);
+}
+
+// ---------- _Forms sheet ----------
+
+async function loadSchemaForms() {
+  if (formsSub) { await removeExcelHandler(formsSub); formsSub = null; }
+  try {
+    await ExcelRunner.run(async (ctx) => {
+      const sheet = ctx.workbook.worksheets.getItemOrNullObject(FORMS_SHEET);
+      await ctx.sync();
+      for (const id of sheetFormIds) delete SchemaForms[id];
+      sheetFormIds = [];
+      if (sheet.isNullObject) return;
+
+      const used = sheet.getUsedRangeOrNullObject();
+      used.load(["values", "rowIndex"]);
+      await ctx.sync();
+      if (!used.isNullObject) {
+        const { schemas, problems } = parseFormsSheet(used.values, used.rowIndex + 1);
+        for (const schema of schemas) {
+          const bad = registerSchemaForm(schema);
+          if (bad.length) problems.push(...bad);
+          else sheetFormIds.push(schema.id);
+        }
+        if (problems.length) {
+          window.ErrorHandler?.handleError(
+            new Error(`${problems.length} problem(s) in ${FORMS_SHEET}: ${problems.join("; ")}`),
+            "Forms"
+          );
+        }
+      }
+
+      if (sheet.onChanged && sheet.onChanged.add) {
+        formsSub = await sheet.onChanged.add(scheduleFormsReload);
+      }
+    }, { retries: 0 });
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, "Forms");
+  }
+}
+
+// values[0] is the header row; firstRow is its 1-based sheet row (for messages)
+function parseFormsSheet(values, firstRow) {
+  const problems = [];
+  const byId = new Map();
+  if (!values.length) return { schemas: [], problems };
+
+  const header = values[0].map(h => String(h ?? "").toLowerCase().trim());
+  const col = {};
+  for (const [key, names] of Object.entries(FORM_SHEET_COLUMNS)) {
+    col[key] = header.findIndex(h => names.includes(h));
+  }
+  if (col.form < 0 || col.label < 0) {
+    problems.push(`header row needs at least "Form" and "Label" columns`);
+    return { schemas: [], problems };
+  }
+  const cell = (row, key) => (col[key] < 0 ? "" : String(row[col[key]] ?? "").trim());
+
+  values.slice(1).forEach((row, i) => {
+    const rowNo = firstRow + 1 + i;
+    if (row.every(v => String(v ?? "").trim() === "")) return;
+    const id = cell(row, "form");
+    if (!id) { problems.push(`row ${rowNo}: missing form`); return; }
+    if (HtmlMap[id]) { problems.push(`row ${rowNo}: form "${id}" is already defined by the add-in`); return; }
+
+    let schema = byId.get(id);
+    if (!schema) { schema = { id, fields: [] }; byId.set(id, schema); }
+    for (const key of ["title", "description", "table", "saveMode"]) {
+      if (!schema[key] && cell(row, key)) schema[key] = key === "saveMode" ? cell(row, key).toLowerCase() : cell(row, key);
+    }
+
+    const field = { label: cell(row, "label") };
+    for (const key of ["name", "bind", "column", "min", "max", "maxlength", "pattern", "placeholder",
+      "showIf", "enableIf", "compute", "message", "validator", "format"]) {
+      if (cell(row, key)) field[key] = cell(row, key);
+    }
+    field.type = (cell(row, "type") || "text").toLowerCase();
+    if (cell(row, "required")) field.required = parseEnabled(cell(row, "required"));
+    const options = cell(row, "options");
+    // "a; b; c" is a fixed list, anything else names a source range
+    if (options) field.options = options.includes(";") ? options.split(";").map(o => o.trim()).filter(Boolean) : options;
+    if (!field.label && !field.name) { problems.push(`row ${rowNo}: field needs a label`); return; }
+    schema.fields.push(field);
+  });
+  return { schemas: [...byId.values()], problems };
+}
+
+function scheduleFormsReload() {
+  clearTimeout(formsReloadTimer);
+  formsReloadTimer = setTimeout(reloadSchemaForms, 300);
+}
+
+// Routes may point at sheet-defined forms, so they are re-checked too
+async function reloadSchemaForms() {
+  await loadSchemaForms();
+  await reloadRoutes();
+}
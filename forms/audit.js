@@ -0,0 +1,144 @@
+// --- Config --------------------------------------------------------------
+const AUDIT_VIEW_LIMIT = 200; // rows rendered after filtering
+
+// --- State ---------------------------------------------------------------
+let auditEntries = [];
+
+// --- DOM helpers ---------------------------------------------------------
+const elAuditForm = () => document.getElementById('auditForm');
+const elAuditRange = () => document.getElementById('auditRange');
+const elAuditList = () => document.getElementById('auditList');
+const setAuditStatus = (msg) => { const el = document.getElementById('auditStatus'); if (el) el.textContent = msg; };
+
+function formatAuditValues(values) {
+  if (!values.length) return '';
+  if (values.length === 1 && values[0].length === 1) return String(values[0][0] ?? '');
+  return values.map(r => r.join('\t')).join('\n');
+}
+
+// --- Filtering -----------------------------------------------------------
+function filterAuditEntries() {
+  const form = elAuditForm().value;
+  const rangeText = elAuditRange().value.trim();
+  const range = rangeText ? tryParseReference(rangeText) : null;
+  elAuditRange().classList.toggle('is-invalid', !!rangeText && !range);
+  return auditEntries.filter((e) => {
+    if (form && e.form !== form) return false;
+    if (range) {
+      const at = tryParseReference(e.address);
+      if (!at || !intersectsAddress(range, at)) return false;
+    }
+    return true;
+  });
+}
+
+function fillAuditFormFilter() {
+  const select = elAuditForm();
+  const current = select.value;
+  const forms = [...new Set(auditEntries.map(e => e.form).filter(Boolean))].sort();
+  select.length = 1; // keep "All forms"
+  forms.forEach((f) => select.add(new Option(f, f)));
+  select.value = forms.includes(current) ? current : '';
+}
+
+// --- Rendering -----------------------------------------------------------
+function renderAuditList() {
+  const root = elAuditList();
+  if (!root) return;
+  root.innerHTML = '';
+  const list = filterAuditEntries();
+  if (!list.length) {
+    root.innerHTML = auditEntries.length ? '<em>No changes match the filter.</em>' : '<em>No changes recorded yet.</em>';
+    setAuditStatus('');
+    return;
+  }
+  setAuditStatus(list.length > AUDIT_VIEW_LIMIT ? `Showing ${AUDIT_VIEW_LIMIT} of ${list.length}` : `${list.length} change(s)`);
+  list.slice(0, AUDIT_VIEW_LIMIT).forEach((entry) => {
+    const item = document.createElement('div');
+    item.className = 'audit-item';
+
+    const top = document.createElement('div');
+    top.className = 'audit-top';
+    const when = new Date(entry.ts);
+    top.textContent = [
+      isNaN(when) ? entry.ts : when.toLocaleString(),
+      entry.user,
+      entry.form
+    ].filter(Boolean).join(' · ');
+
+    const where = document.createElement('div');
+    where.className = 'audit-where';
+    where.textContent = entry.target === entry.address ? entry.address : `${entry.target} → ${entry.address}`;
+
+    const change = document.createElement('div');
+    change.className = 'audit-change';
+    const oldV = document.createElement('pre');
+    oldV.textContent = formatAuditValues(entry.before) || '(empty)';
+    const newV = document.createElement('pre');
+    newV.textContent = formatAuditValues(entry.after) || '(empty)';
+    change.append(oldV, document.createTextNode('→'), newV);
+
+    const revert = document.createElement('button');
+    revert.type = 'button';
+    revert.className = 'btn';
+    revert.textContent = 'Revert';
+    revert.addEventListener('click', () => revertAuditItem(entry, revert));
+
+    item.append(top, where, change);
+    if (!isRowAuditEntry(entry)) item.append(revert);
+    root.appendChild(item);
+  });
+}
+
+// --- Actions -------------------------------------------------------------
+async function refreshAudit() {
+  if (!Office.context || Office.context.host !== Office.HostType.Excel) {
+    elAuditList().innerHTML = '<em>Open in Excel to see the audit log.</em>';
+    return;
+  }
+  setAuditStatus('Loading…');
+  try {
+    auditEntries = await readAuditEntries();
+    fillAuditFormFilter();
+    renderAuditList();
+  } catch (e) {
+    setAuditStatus('');
+    window.ErrorHandler?.handleError(e, 'Audit');
+  }
+}
+
+async function revertAuditItem(entry, btn) {
+  btn.disabled = true;
+  try {
+    if (await revertAuditEntry(entry)) {
+      window.ErrorHandler?.notify(`Reverted ${entry.address}.`, { type: 'success' });
+      await refreshAudit();
+    }
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, 'Revert');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function useSelectionAsRange() {
+  await ExcelRunner.run(async (ctx) => {
+    const sel = ctx.workbook.getSelectedRange();
+    sel.load('address');
+    await ctx.sync();
+    elAuditRange().value = sel.address;
+  });
+  renderAuditList();
+}
+
+registerForm('audit', {
+  mount(context) {
+    context.listen(elAuditForm(), 'change', renderAuditList);
+    context.listen(elAuditRange(), 'input', renderAuditList);
+    context.listen(document.getElementById('auditReload'), 'click', refreshAudit);
+    context.listen(document.getElementById('auditUseSelection'), 'click', () =>
+      useSelectionAsRange().catch(e => window.ErrorHandler?.handleError(e, 'Audit')));
+    refreshAudit();
+  },
+  unmount() { auditEntries = []; }
+});
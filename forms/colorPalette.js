@@ -238,14 +238,13 @@ function handleGenerate() {
 }
 
 // --- Persistence (hidden sheet) -----------------------------------------
+// getItemOrNullObject, not getItem + catch: a busy Excel must reach ExcelRunner's retry,
+// not be mistaken for a missing sheet
 async function ensureDataSheet(ctx) {
   const wb = ctx.workbook;
-  let sheet = null;
-  try {
-    sheet = wb.worksheets.getItem(DATA_SHEET);
-    sheet.load('name');
-    await ctx.sync();
-  } catch (_) {
+  let sheet = wb.worksheets.getItemOrNullObject(DATA_SHEET);
+  await ctx.sync();
+  if (sheet.isNullObject) {
     sheet = wb.worksheets.add(DATA_SHEET);
     sheet.getRange('A1:F1').values = [[ 'Timestamp', 'Label', 'Scheme', 'BaseHex', 'Count', 'HexList' ]];
   }
@@ -255,7 +254,7 @@ async function ensureDataSheet(ctx) {
 
 async function persistRecentPalette(meta, hexes) {
   if (!Office.context || Office.context.host !== Office.HostType.Excel) return;
-  await Excel.run(async (ctx) => {
+  await ExcelRunner.run(async (ctx) => {
     const sheet = await ensureDataSheet(ctx);
     const used = sheet.getUsedRange();
     used.load('rowCount');
@@ -288,15 +287,10 @@ async function loadRecentRows(take = 10) {
     if (pane) pane.innerHTML = '<em>Open in Excel to see recents.</em>';
     return [];
   }
-  return await Excel.run(async (ctx) => {
-    let sheet;
-    try {
-      sheet = ctx.workbook.worksheets.getItem(DATA_SHEET);
-      sheet.load('name');
-      await ctx.sync();
-    } catch (_) {
-      return [];
-    }
+  return await ExcelRunner.run(async (ctx) => {
+    const sheet = ctx.workbook.worksheets.getItemOrNullObject(DATA_SHEET);
+    await ctx.sync();
+    if (sheet.isNullObject) return [];
     const used = sheet.getUsedRange();
     used.load('rowCount');
     await ctx.sync();
@@ -369,18 +363,14 @@ async function insertToSheet() {
     return;
   }
 
+  window.ErrorHandler?.breadcrumb('excel', 'insert palette', paletteTargetSheet);
   try {
-    await Excel.run(async (ctx) => {
+    await ExcelRunner.run(async (ctx) => {
       const wb = ctx.workbook;
-      const sheetName = 'Palettes';
-      let sheet;
-      try {
-        sheet = wb.worksheets.getItem(sheetName);
-        sheet.load('name');
-        await ctx.sync();
-      } catch (_) {
-        sheet = wb.worksheets.add(sheetName);
-      }
+      const sheetName = paletteTargetSheet;
+      let sheet = wb.worksheets.getItemOrNullObject(sheetName);
+      await ctx.sync();
+      if (sheet.isNullObject) sheet = wb.worksheets.add(sheetName);
 
       const ts = new Date();
       const label = `Palette_${ts.getFullYear()}-${(ts.getMonth()+1).toString().padStart(2,'0')}-${ts.getDate().toString().padStart(2,'0')} ${ts.getHours().toString().padStart(2,'0')}${ts.getMinutes().toString().padStart(2,'0')}${ts.getSeconds().toString().padStart(2,'0')}`;
@@ -392,7 +382,7 @@ async function insertToSheet() {
       used.load('rowCount');
       await ctx.sync();
       const nextRow = (used && used.rowCount ? used.rowCount : 0) + 1;
-      const table = sheet.tables.add(`${sheetName}!A${nextRow}:E${nextRow + rows.length}`, true);
+      const table = sheet.tables.add(sheet.getRange(`A${nextRow}:E${nextRow + rows.length}`), true);
       table.name = label.replace(/[^A-Za-z0-9_]/g, '_');
       table.getHeaderRowRange().values = headers;
       table.getDataBodyRange().values = rows;
@@ -420,7 +410,7 @@ async function insertToSheet() {
     setStatus('Inserted palette and saved to Recents.');
     refreshRecents();
   } catch (e) {
-    window.ErrorHandler.handle(e);
+    window.ErrorHandler?.handle(e, 'Insert palette');
   }
 }
 
@@ -443,17 +433,67 @@ function getRandomBase() {
   elBase().value = hex;
 }
 
-function initUI() {
-  document.getElementById('generate').addEventListener('click', handleGenerate);
-  document.getElementById('insert').addEventListener('click', insertToSheet);
-  document.getElementById('copyHex').addEventListener('click', copyHexList);
-  document.getElementById('randomBase').addEventListener('click', getRandomBase);
+// --- Hint parameters -----------------------------------------------------
+// e.g. form:colorPalette?scheme=pastel&count=6&base=%234a86e8&target=Brand
+let paletteTargetSheet = 'Palettes';
+
+function applyPaletteParams(params) {
+  if (params.scheme && generators[params.scheme]) elScheme().value = params.scheme;
+  if (params.count) elCount().value = clamp(parseInt(params.count, 10) || 10, 3, 32);
+  if (params.base) elBase().value = params.base;
+  paletteTargetSheet = (params.target || '').trim() || 'Palettes';
+}
+
+// --- Selected cell -------------------------------------------------------
+let selectedCellHex = null;
+
+// Shows the fill of the selection's first cell; runs on mount and on selectionchange
+async function showSelectedCellColor(context) {
+  const label = document.getElementById('selectedColor');
+  const swatch = document.getElementById('selectedSwatch');
+  const use = document.getElementById('useSelected');
+  if (!label || !Office.context || Office.context.host !== Office.HostType.Excel) return;
+  await ExcelRunner.run(async (ctx) => {
+    const cell = ctx.workbook.getSelectedRange().getCell(0, 0);
+    cell.load('address');
+    cell.format.fill.load('color');
+    await ctx.sync();
+    const color = cell.format.fill.color;
+    selectedCellHex = /^#[0-9a-f]{6}$/i.test(color || '') ? color.toLowerCase() : null;
+    const where = localizeAddress(cell.address) || context.selection;
+    label.textContent = selectedCellHex ? `${where}: ${selectedCellHex}` : `${where}: no fill`;
+    swatch.style.background = selectedCellHex || 'transparent';
+    use.disabled = !selectedCellHex;
+  });
+}
+
+function useSelectedAsBase() {
+  if (!selectedCellHex) return;
+  elBase().value = selectedCellHex;
+  setStatus(`Base color set to ${selectedCellHex}.`);
+}
+
+function initUI(context) {
+  context.listen(document.getElementById('generate'), 'click', handleGenerate);
+  context.listen(document.getElementById('insert'), 'click', insertToSheet);
+  context.listen(document.getElementById('copyHex'), 'click', copyHexList);
+  context.listen(document.getElementById('randomBase'), 'click', getRandomBase);
   const reload = document.getElementById('reloadRecents');
-  if (reload) reload.addEventListener('click', refreshRecents);
+  if (reload) context.listen(reload, 'click', refreshRecents);
+  context.listen(document.getElementById('useSelected'), 'click', useSelectedAsBase);
+  const onSelection = () => showSelectedCellColor(context).catch(e => window.ErrorHandler?.warn(e, 'Selected cell color'));
+  context.on('selectionchange', onSelection);
+  context.on('sheetchange', onSelection);
+  onSelection();
 
   // First render + load recents
+  applyPaletteParams(context.params);
   handleGenerate();
   refreshRecents();
 }
 
-Office.onReady(() => { initUI(); });
+// Loaded once by the task pane's form loader; mount runs on every render
+registerForm('colorPalette', {
+  mount(context) { initUI(context); },
+  unmount() { lastPalette = []; selectedCellHex = null; }
+});
@@ -0,0 +1,196 @@
+// --- Config --------------------------------------------------------------
+const DIAG_GROUP_LIMIT = 100; // groups rendered after filtering
+
+// --- State ---------------------------------------------------------------
+let diagEntries = []; // _Logs rows, oldest first
+let diagPending = null; // live entries that arrive while _Logs is being read
+
+// --- DOM helpers ---------------------------------------------------------
+const elDiagSeverity = () => document.getElementById('diagSeverity');
+const elDiagContext = () => document.getElementById('diagContext');
+const elDiagSince = () => document.getElementById('diagSince');
+const elDiagList = () => document.getElementById('diagList');
+const setDiagStatus = (msg) => { const el = document.getElementById('diagStatus'); if (el) el.textContent = msg; };
+
+function formatDiagTime(ts) {
+  const when = new Date(ts);
+  return isNaN(when) ? ts : when.toLocaleString();
+}
+
+// --- Filtering & grouping ------------------------------------------------
+function filterDiagEntries() {
+  const severity = elDiagSeverity().value;
+  const context = elDiagContext().value.trim().toLowerCase();
+  const since = Number(elDiagSince().value) || 0;
+  const cutoff = since ? Date.now() - since : 0;
+  return diagEntries.filter((e) => {
+    if (severity && e.severity !== severity) return false;
+    if (context && !e.context.toLowerCase().includes(context)) return false;
+    if (cutoff && !(Date.parse(e.ts) >= cutoff)) return false;
+    return true;
+  });
+}
+
+// Same signature the handler uses to drop repeats, so one group is one distinct problem
+function groupDiagEntries(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const sig = window.ErrorHandler.signature({ message: e.message, stack: e.stack }, e.context);
+    let g = groups.get(sig);
+    if (!g) { g = { sig, entries: [] }; groups.set(sig, g); }
+    g.entries.push(e);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, latest: g.entries[g.entries.length - 1] }))
+    .sort((a, b) => String(b.latest.ts).localeCompare(String(a.latest.ts)));
+}
+
+// --- Rendering -----------------------------------------------------------
+function renderDiagList() {
+  const root = elDiagList();
+  if (!root) return;
+  root.innerHTML = '';
+  const list = filterDiagEntries();
+  if (!list.length) {
+    root.innerHTML = diagEntries.length ? '<em>No entries match the filter.</em>' : '<em>Nothing logged yet.</em>';
+    setDiagStatus('');
+    return;
+  }
+  const groups = groupDiagEntries(list);
+  setDiagStatus(`${list.length} entr${list.length === 1 ? 'y' : 'ies'}, ${groups.length} distinct`);
+  groups.slice(0, DIAG_GROUP_LIMIT).forEach((g) => root.appendChild(renderDiagGroup(g)));
+}
+
+function renderDiagGroup({ entries, latest }) {
+  const item = document.createElement('details');
+  item.className = `diag-item is-${latest.severity || 'error'}`;
+
+  const summary = document.createElement('summary');
+  const count = document.createElement('span');
+  count.className = 'badge';
+  count.textContent = `×${entries.length}`;
+  const title = document.createElement('span');
+  title.className = 'diag-title';
+  title.textContent = latest.context ? `${latest.context}: ${latest.message}` : latest.message;
+  summary.append(count, ' ', title);
+
+  const meta = document.createElement('div');
+  meta.className = 'diag-meta';
+  meta.textContent = [
+    latest.severity,
+    entries.length > 1 ? `first ${formatDiagTime(entries[0].ts)}, last ${formatDiagTime(latest.ts)}` : formatDiagTime(latest.ts),
+    latest.form && `form ${latest.form}`,
+    latest.sheet && `sheet ${latest.sheet}`
+  ].filter(Boolean).join(' · ');
+
+  item.append(summary, meta);
+  if (latest.stack) item.append(diagBlock('Stack', latest.stack));
+  if (latest.breadcrumbs) item.append(diagBlock('Breadcrumbs', latest.breadcrumbs));
+  return item;
+}
+
+function diagBlock(label, text) {
+  const wrap = document.createElement('div');
+  const head = document.createElement('div');
+  head.className = 'diag-label';
+  head.textContent = label;
+  const pre = document.createElement('pre');
+  pre.textContent = text;
+  wrap.append(head, pre);
+  return wrap;
+}
+
+// --- Report --------------------------------------------------------------
+function buildDiagReport() {
+  const eh = window.ErrorHandler;
+  const host = eh.hostInfo();
+  const list = filterDiagEntries();
+  const lines = [
+    'Add-in diagnostics report',
+    `Generated: ${new Date().toISOString()}`,
+    `Version: ${eh.version} · Session: ${eh.sessionId}`,
+    `Host: ${host.host} · Platform: ${host.platform}`,
+    `Filter: severity=${elDiagSeverity().value || 'all'}, context=${elDiagContext().value.trim() || 'any'}, time=${elDiagSince().selectedOptions[0]?.text || ''}`,
+    `Entries: ${list.length}`,
+    ''
+  ];
+  groupDiagEntries(list).forEach(({ entries, latest }, i) => {
+    lines.push(`#${i + 1} [${latest.severity}] ×${entries.length} ${latest.context ? latest.context + ': ' : ''}${latest.message}`);
+    lines.push(`  last: ${latest.ts}  form: ${latest.form || '-'}  sheet: ${latest.sheet || '-'}  session: ${latest.session || '-'}`);
+    if (latest.stack) lines.push('  stack:', ...latest.stack.split('\n').map(l => '    ' + l));
+    if (latest.breadcrumbs) lines.push('  breadcrumbs:', ...latest.breadcrumbs.split('\n').map(l => '    ' + l));
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+// --- Actions -------------------------------------------------------------
+async function refreshDiagnostics() {
+  if (!Office.context || Office.context.host !== Office.HostType.Excel) {
+    elDiagList().innerHTML = '<em>Open in Excel to see logged errors.</em>';
+    return;
+  }
+  setDiagStatus('Loading…');
+  diagPending = [];
+  try {
+    const rows = await window.ErrorHandler.readLogs();
+    // readLogs waits for queued writes, so a pending entry may already be in rows
+    const seen = new Set(rows.map(r => `${r.ts}|${r.session}|${r.message}`));
+    diagEntries = rows.concat(diagPending.filter(e => !seen.has(`${e.ts}|${e.session}|${e.message}`)));
+    trimDiagEntries();
+    renderDiagList();
+  } catch (e) {
+    setDiagStatus('');
+    window.ErrorHandler?.error(e, 'Diagnostics');
+  } finally {
+    diagPending = null;
+  }
+}
+
+async function copyDiagReport() {
+  try {
+    await copyToClipboard(buildDiagReport());
+    window.ErrorHandler?.notify('Report copied.', { type: 'success' });
+  } catch (e) {
+    window.ErrorHandler?.error(e, 'Copy report');
+  }
+}
+
+async function clearDiagLogs() {
+  const ok = await confirmInPane('Delete every entry in _Logs? Export or copy a report first if support may need it.', { okText: 'Clear logs', danger: true });
+  if (!ok) return;
+  try {
+    await window.ErrorHandler.clearLogs();
+    diagEntries = [];
+    renderDiagList();
+  } catch (e) {
+    window.ErrorHandler?.error(e, 'Clear logs');
+  }
+}
+
+// Same cap as _Logs itself, so a long session doesn't outgrow the sheet
+function trimDiagEntries() {
+  const limit = window.ErrorHandler.logs.limit;
+  if (diagEntries.length > limit) diagEntries.splice(0, diagEntries.length - limit);
+}
+
+function onDiagLogged(event) {
+  if (diagPending) { diagPending.push(event.detail); return; }
+  diagEntries.push(event.detail);
+  trimDiagEntries();
+  renderDiagList();
+}
+
+registerForm('diagnostics', {
+  mount(context) {
+    context.listen(elDiagSeverity(), 'change', renderDiagList);
+    context.listen(elDiagContext(), 'input', renderDiagList);
+    context.listen(elDiagSince(), 'change', renderDiagList);
+    context.listen(document.getElementById('diagReload'), 'click', refreshDiagnostics);
+    context.listen(document.getElementById('diagCopy'), 'click', copyDiagReport);
+    context.listen(document.getElementById('diagClear'), 'click', clearDiagLogs);
+    context.listen(window, 'errorhandler:logged', onDiagLogged);
+    refreshDiagnostics();
+  },
+  unmount() { diagEntries = []; }
+});
@@ -0,0 +1,163 @@
+// --- Config --------------------------------------------------------------
+const GUESTS_SHEET = 'Guests';
+const GUESTS_TABLE = 'Guests';
+
+// Table schema: header text + form field name, in column order
+const GUEST_COLUMNS = [
+  { header: 'Registered', field: null },
+  { header: 'First Name', field: 'firstName' },
+  { header: 'Last Name', field: 'lastName' },
+  { header: 'Email', field: 'email' },
+  { header: 'Phone', field: 'phone' },
+  { header: 'Company', field: 'company' },
+  { header: 'Party Size', field: 'partySize' },
+  { header: 'Notes', field: 'notes' },
+];
+
+// --- DOM helpers ---------------------------------------------------------
+const elGuestForm = () => document.getElementById('guestForm');
+const elGuestStatus = () => document.getElementById('guestStatus');
+const elGuestSaveAnyway = () => document.getElementById('guestSaveAnyway');
+
+const setGuestStatus = (msg) => { const el = elGuestStatus(); if (el) el.textContent = msg; };
+
+function readGuestFields() {
+  const form = elGuestForm();
+  const out = {};
+  GUEST_COLUMNS.forEach(({ field }) => {
+    if (!field) return;
+    const el = form.elements[field];
+    out[field] = el ? String(el.value || '').trim() : '';
+  });
+  const party = parseInt(out.partySize, 10);
+  out.partySize = Number.isFinite(party) && party > 0 ? party : 1;
+  return out;
+}
+
+function validateGuest(g) {
+  if (!g.firstName || !g.lastName) return 'First and last name are required.';
+  if (g.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(g.email)) return 'Email address looks invalid.';
+  return null;
+}
+
+// --- Guests table --------------------------------------------------------
+async function ensureGuestsTable(ctx) {
+  const wb = ctx.workbook;
+  let table = wb.tables.getItemOrNullObject(GUESTS_TABLE);
+  await ctx.sync();
+  if (table.isNullObject) {
+    let sheet = wb.worksheets.getItemOrNullObject(GUESTS_SHEET);
+    await ctx.sync();
+    if (sheet.isNullObject) sheet = wb.worksheets.add(GUESTS_SHEET);
+
+    const used = sheet.getUsedRangeOrNullObject();
+    used.load(['rowIndex', 'rowCount']);
+    await ctx.sync();
+    const startRow = used.isNullObject ? 1 : used.rowIndex + used.rowCount + 2; // leave a blank row
+    const lastCol = numToCol(GUEST_COLUMNS.length);
+    table = sheet.tables.add(`A${startRow}:${lastCol}${startRow}`, true);
+    table.name = GUESTS_TABLE;
+    table.getHeaderRowRange().values = [GUEST_COLUMNS.map(c => c.header)];
+    await ctx.sync();
+    return table;
+  }
+
+  // Existing table: add any schema columns it lacks
+  const header = table.getHeaderRowRange();
+  header.load('values');
+  await ctx.sync();
+  const have = (header.values[0] || []).map(h => String(h).trim().toLowerCase());
+  GUEST_COLUMNS.forEach(({ header: name }) => {
+    if (!have.includes(name.toLowerCase())) table.columns.add(null, null, name);
+  });
+  await ctx.sync();
+  return table;
+}
+
+function isSameGuest(a, b) {
+  if (a.email && b.email) return a.email.toLowerCase() === b.email.toLowerCase();
+  const same = (x, y) => String(x || '').trim().toLowerCase() === String(y || '').trim().toLowerCase();
+  return same(a.firstName, b.firstName) && same(a.lastName, b.lastName) && (!a.phone || !b.phone || same(a.phone, b.phone));
+}
+
+/**
+ * Appends the guest as a new table row. Unless force is set, an existing row for
+ * the same guest (same email, or same name and phone) stops the save and is returned.
+ */
+async function appendGuest(guest, force) {
+  return await ExcelRunner.run(async (ctx) => {
+    const table = await ensureGuestsTable(ctx);
+    const header = table.getHeaderRowRange();
+    const body = table.getDataBodyRange();
+    header.load('values');
+    body.load(['values', 'rowIndex']);
+    await ctx.sync();
+
+    const headers = header.values[0].map(h => String(h).trim().toLowerCase());
+    const fieldAt = headers.map(h => GUEST_COLUMNS.find(c => c.header.toLowerCase() === h));
+
+    if (!force) {
+      for (const [i, row] of body.values.entries()) {
+        const existing = {};
+        fieldAt.forEach((col, j) => { if (col && col.field) existing[col.field] = row[j]; });
+        if (isSameGuest(guest, existing)) return { duplicate: existing, row: body.rowIndex + i + 1 }; // sheet row, as shown in Excel
+      }
+    }
+
+    const values = fieldAt.map(col => {
+      if (!col) return '';
+      return col.field ? guest[col.field] : new Date().toISOString();
+    });
+    // A new table starts with one blank data row; fill it instead of appending below it
+    const blank = body.values.length === 1 && body.values[0].every(v => String(v ?? '') === '');
+    const rng = blank ? body : table.rows.add(null, [values]).getRange();
+    if (blank) body.values = [values];
+    rng.load(['address', 'values']);
+    await ctx.sync();
+    await tryAppendAudit(ctx, [{
+      target: `${GUESTS_TABLE}: ${AUDIT_ADD_ROW}`, address: rng.address, before: blankLike(rng.values), after: rng.values
+    }]);
+    return { added: true };
+  });
+}
+
+// --- Actions -------------------------------------------------------------
+async function saveGuest(force = false) {
+  const guest = readGuestFields();
+  const problem = validateGuest(guest);
+  if (problem) { setGuestStatus(problem); return; }
+
+  try {
+    setGuestStatus('Saving…');
+    const result = await appendGuest(guest, force);
+    if (result.duplicate) {
+      const d = result.duplicate;
+      setGuestStatus(`${d.firstName || ''} ${d.lastName || ''} is already registered (row ${result.row} of the ${GUESTS_SHEET} sheet).`.trim());
+      elGuestSaveAnyway().hidden = false;
+      return;
+    }
+    elGuestSaveAnyway().hidden = true;
+    clearGuestForm();
+    setGuestStatus(`Saved ${guest.firstName} ${guest.lastName}.`);
+  } catch (e) {
+    setGuestStatus('Save failed.');
+    window.ErrorHandler?.error(e, 'Guest form');
+  }
+}
+
+function clearGuestForm() {
+  elGuestForm().reset();
+  elGuestSaveAnyway().hidden = true;
+  setGuestStatus('');
+  document.getElementById('guestFirst').focus();
+}
+
+registerForm('guest', {
+  mount(context) {
+    context.listen(elGuestForm(), 'submit', (e) => { e.preventDefault(); saveGuest(false); });
+    context.listen(elGuestSaveAnyway(), 'click', () => saveGuest(true));
+    context.listen(document.getElementById('guestClear'), 'click', clearGuestForm);
+    // Any edit after a duplicate warning needs a fresh check
+    context.listen(elGuestForm(), 'input', () => { elGuestSaveAnyway().hidden = true; });
+  }
+});
@@ -0,0 +1,70 @@
+// --- Log export ----------------------------------------------------------
+// Reading _Logs is async, so exporting is two clicks: Show fills the text box,
+// then Copy or Download run inside their own click (clipboard access needs it)
+const LOG_EXPORT_TYPES = {
+  csv: { ext: 'csv', mime: 'text/csv' },
+  json: { ext: 'json', mime: 'application/json' }
+};
+
+let logExportFormat = 'csv';
+
+const elLogExportText = () => document.getElementById('logExportText');
+const setLogExportStatus = (msg) => { const el = document.getElementById('logExportStatus'); if (el) el.textContent = msg; };
+
+async function showLogExport(format) {
+  setLogExportStatus('Reading logs…');
+  try {
+    const text = await window.ErrorHandler.exportLogs(format);
+    logExportFormat = format;
+    elLogExportText().value = text;
+    elLogExportText().hidden = false;
+    document.getElementById('logExportActions').hidden = false;
+    setLogExportStatus(`${format.toUpperCase()} ready.`);
+  } catch (e) {
+    setLogExportStatus('');
+    window.ErrorHandler?.error(e, 'Export logs');
+  }
+}
+
+function copyLogExport() {
+  copyToClipboard(elLogExportText().value)
+    .then(() => setLogExportStatus('Copied to the clipboard.'))
+    .catch(e => window.ErrorHandler?.error(e, 'Copy logs'));
+}
+
+// Office webviews may drop the download without an error, so the status says so
+function downloadLogExport() {
+  const { ext, mime } = LOG_EXPORT_TYPES[logExportFormat];
+  const url = URL.createObjectURL(new Blob([elLogExportText().value], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `addin-logs-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setLogExportStatus('If no file was saved, use Copy instead.');
+}
+
+// --- Audit user ----------------------------------------------------------
+function saveAuditUserName() {
+  const status = document.getElementById('auditUserStatus');
+  try {
+    const name = setAuditUser(document.getElementById('auditUserName').value);
+    status.textContent = name ? `Changes from this device are recorded as ${name}.` : 'Changes from this device are recorded without a name.';
+  } catch (e) {
+    status.textContent = '';
+    window.ErrorHandler?.error(e, 'Save audit name');
+  }
+}
+
+registerForm('settings', {
+  mount(context) {
+    document.getElementById('auditUserName').value = auditUser();
+    context.listen(document.getElementById('auditUserSave'), 'click', saveAuditUserName);
+    context.listen(document.getElementById('exportLogsCsv'), 'click', () => showLogExport('csv'));
+    context.listen(document.getElementById('exportLogsJson'), 'click', () => showLogExport('json'));
+    context.listen(document.getElementById('logExportCopy'), 'click', copyLogExport);
+    context.listen(document.getElementById('logExportDownload'), 'click', downloadLogExport);
+  }
+});
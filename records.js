@@ -0,0 +1,269 @@
+// Record-mode forms: a [data-table] container edits one Excel table row at a time
+
+/**
+ * Markup:
+ *   <div class="form-card" data-table="Orders">
+ *     <div class="row"><label>Customer</label><input data-column="Customer"/></div>
+ *   </div>
+ *
+ * [data-column] controls map to table headers (case-insensitive) and take the same
+ * data-type and validation attributes as [data-bind] controls; a change writes
+ * that one cell of the current row. Buttons with
+ * data-record="first|prev|next|last|selected|new|delete" drive the form (a default
+ * bar is added when the markup has none) and [data-record-position] shows "3 of 12".
+ * Selecting a row in the table moves the form to that row.
+ */
+const RECORD_NAV = [
+  { action: "first", label: "⏮", title: "First record" },
+  { action: "prev", label: "◀", title: "Previous record" },
+  { action: "next", label: "▶", title: "Next record" },
+  { action: "last", label: "⏭", title: "Last record" },
+  { action: "selected", label: "Go to selection", title: "Show the row selected in the sheet" },
+  { action: "new", label: "New", title: "Add a row to the table" },
+  { action: "delete", label: "Delete", title: "Delete this row" }
+];
+
+async function wireRecordForms(container, formContext) {
+  for (const root of container.querySelectorAll("[data-table]")) {
+    const rec = { root, table: root.dataset.table.trim(), index: 0, count: 0, headers: [], bodyRow: 0, missing: false };
+    ensureRecordNav(root);
+
+    formContext.listen(root, "click", (e) => {
+      const btn = e.target.closest("[data-record]");
+      if (!btn || !root.contains(btn) || btn.disabled) return;
+      runRecordAction(rec, btn.dataset.record).catch(err => window.ErrorHandler?.handleError(err, `Record ${rec.table}`));
+    });
+    root.querySelectorAll("[data-column]").forEach((el) => {
+      formContext.listen(el, "change", () => {
+        writeRecordField(rec, el).catch(err => window.ErrorHandler?.handleError(err, `Record ${rec.table}`));
+      });
+    });
+
+    // Open on the selected row when the selection is already inside the table
+    const start = await selectedRecordIndex(rec);
+    await loadRecord(rec, start ?? 0);
+    await watchRecordTable(rec, formContext);
+  }
+}
+
+function ensureRecordNav(root) {
+  if (root.querySelector("[data-record]")) return;
+  const nav = document.createElement("div");
+  nav.className = "record-nav";
+  for (const { action, label, title } of RECORD_NAV) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = action === "delete" ? "btn danger" : "btn";
+    btn.dataset.record = action;
+    btn.textContent = label;
+    btn.title = title;
+    nav.appendChild(btn);
+  }
+  const pos = document.createElement("span");
+  pos.className = "record-position";
+  pos.dataset.recordPosition = "";
+  nav.appendChild(pos);
+  const heading = root.querySelector("h2");
+  if (heading) heading.after(nav); else root.prepend(nav);
+}
+
+async function runRecordAction(rec, action) {
+  switch (action) {
+    case "first": return loadRecord(rec, 0);
+    case "prev": return loadRecord(rec, rec.index - 1);
+    case "next": return loadRecord(rec, rec.index + 1);
+    case "last": return loadRecord(rec, rec.count - 1);
+    case "selected": {
+      const idx = await selectedRecordIndex(rec);
+      if (idx === null) { window.ErrorHandler?.notify(`Select a row inside ${rec.table} first.`, { type: "info" }); return; }
+      return loadRecord(rec, idx);
+    }
+    case "new": return addRecord(rec);
+    case "delete": return deleteRecord(rec);
+    default: window.ErrorHandler?.warn(`Unknown data-record action "${action}"`, `Record ${rec.table}`);
+  }
+}
+
+function recordColumnIndex(rec, name) {
+  const key = String(name || "").trim().toLowerCase();
+  return rec.headers.findIndex(h => h.toLowerCase() === key);
+}
+
+// Loads row `index` (clamped) into the controls; keepFocused leaves the field being typed in alone
+async function loadRecord(rec, index, { keepFocused = false } = {}) {
+  await ExcelRunner.run(async (ctx) => {
+    await ensureDateSystem(ctx);
+    await ensureNumberSeparators(ctx);
+    const table = ctx.workbook.tables.getItemOrNullObject(rec.table);
+    await ctx.sync();
+    rec.missing = table.isNullObject;
+    if (rec.missing) { renderRecordState(rec); return; }
+
+    const header = table.getHeaderRowRange();
+    const body = table.getDataBodyRange();
+    header.load("values");
+    body.load(["rowCount", "rowIndex"]);
+    await ctx.sync();
+
+    rec.headers = (header.values[0] || []).map(h => String(h).trim());
+    rec.count = body.rowCount;
+    rec.bodyRow = body.rowIndex;
+    rec.index = Math.max(0, Math.min(index, rec.count - 1));
+
+    let values = [], text = [];
+    if (rec.count > 0) {
+      const row = body.getRow(rec.index);
+      row.load(["values", "text"]);
+      await ctx.sync();
+      values = row.values[0];
+      text = row.text[0];
+    }
+
+    rec.root.querySelectorAll("[data-column]").forEach((el) => {
+      if (keepFocused && document.activeElement === el) return;
+      const col = recordColumnIndex(rec, el.dataset.column);
+      if (col < 0) {
+        reportOnce(`column:${rec.table}|${el.dataset.column}`,
+          new Error(`data-column "${el.dataset.column}" is not a column of table ${rec.table}`), "Records");
+        return;
+      }
+      setElValueFromCell(el, values[col] ?? "", { text: text[col] });
+      showValidation(el, null);
+    });
+    renderRecordState(rec);
+    evaluateExpressions(rec.root);
+  });
+}
+
+function renderRecordState(rec) {
+  const pos = rec.root.querySelector("[data-record-position]");
+  if (pos) {
+    pos.textContent = rec.missing ? `Table ${rec.table} not found`
+      : rec.count === 0 ? "No records"
+      : `${rec.index + 1} of ${rec.count}`;
+  }
+  const disable = {
+    first: rec.index <= 0, prev: rec.index <= 0,
+    next: rec.index >= rec.count - 1, last: rec.index >= rec.count - 1,
+    delete: rec.count === 0
+  };
+  rec.root.querySelectorAll("[data-record]").forEach((btn) => {
+    btn.disabled = rec.missing || !!disable[btn.dataset.record];
+  });
+  rec.root.querySelectorAll("[data-column]").forEach((el) => { el.disabled = rec.missing || rec.count === 0; });
+}
+
+async function writeRecordField(rec, el) {
+  if (rec.missing || rec.count === 0) return;
+  if (!(await checkControl(el))) return;
+  const col = recordColumnIndex(rec, el.dataset.column);
+  if (col < 0) return;
+  window.ErrorHandler?.breadcrumb("excel", "write", `${rec.table}[${el.dataset.column.trim()}] row ${rec.index + 1}`);
+  await ExcelRunner.run(async (ctx) => {
+    await ensureDateSystem(ctx);
+    await ensureNumberSeparators(ctx);
+    const table = ctx.workbook.tables.getItem(rec.table);
+    const cell = table.getDataBodyRange().getRow(rec.index).getCell(0, col);
+    cell.load(["address", "rowCount", "columnCount", "numberFormat", "formulas"]);
+    await ctx.sync();
+    const before = cell.formulas;
+    applyControlValue(cell, el);
+    cell.load("values");
+    await ctx.sync();
+    await tryAppendAudit(ctx, [{
+      target: `${rec.table}[${el.dataset.column.trim()}]`, address: cell.address, before, after: cell.values
+    }]);
+  });
+}
+
+// Data-row index of the active selection, or null when it is outside the table
+async function selectedRecordIndex(rec) {
+  try {
+    return await ExcelRunner.run(async (ctx) => {
+      const table = ctx.workbook.tables.getItemOrNullObject(rec.table);
+      await ctx.sync();
+      if (table.isNullObject) return null;
+      const body = table.getDataBodyRange();
+      const sel = ctx.workbook.getSelectedRange();
+      body.load(["address", "rowIndex", "rowCount"]);
+      sel.load(["address", "rowIndex"]);
+      await ctx.sync();
+      if (!intersectsAddress(sel.address, body.address)) return null;
+      return Math.max(0, Math.min(sel.rowIndex - body.rowIndex, body.rowCount - 1));
+    });
+  } catch (e) {
+    window.ErrorHandler?.warn(e, `Selection lookup for ${rec.table}`);
+    return null;
+  }
+}
+
+async function addRecord(rec) {
+  if (rec.missing) return;
+  await ExcelRunner.run(async (ctx) => {
+    const table = ctx.workbook.tables.getItem(rec.table);
+    // no values: writing "" would overwrite the formulas of calculated columns
+    const rng = table.rows.add(null).getRange();
+    rng.load(["address", "values"]);
+    await ctx.sync();
+    await tryAppendAudit(ctx, [{
+      target: `${rec.table}: ${AUDIT_ADD_ROW}`, address: rng.address, before: blankLike(rng.values), after: rng.values
+    }]);
+  });
+  await loadRecord(rec, Number.MAX_SAFE_INTEGER);
+  const first = rec.root.querySelector("[data-column]");
+  if (first) first.focus();
+}
+
+async function deleteRecord(rec) {
+  if (rec.missing || rec.count === 0) return;
+  const ok = await confirmInPane(`Delete record ${rec.index + 1} of ${rec.count} from ${rec.table}? This can't be undone from the form.`,
+    { okText: "Delete", danger: true });
+  if (!ok) return;
+  const index = rec.index;
+  await ExcelRunner.run(async (ctx) => {
+    const row = ctx.workbook.tables.getItem(rec.table).rows.getItemAt(index);
+    const rng = row.getRange();
+    rng.load(["address", "formulas"]);
+    await ctx.sync();
+    const { address, formulas } = rng;
+    row.delete();
+    await ctx.sync();
+    await tryAppendAudit(ctx, [{
+      target: `${rec.table}: ${AUDIT_DELETE_ROW}`, address, before: formulas, after: blankLike(formulas)
+    }]);
+  }, { retries: 0 });
+  await loadRecord(rec, index);
+}
+
+// Follow row clicks in the table and pick up edits made in the sheet
+async function watchRecordTable(rec, formContext) {
+  if (rec.missing) return;
+  let changeTimer = null;
+  formContext.onCleanup(() => clearTimeout(changeTimer));
+  try {
+    await ExcelRunner.run(async (ctx) => {
+      const table = ctx.workbook.tables.getItem(rec.table);
+      if (table.onSelectionChanged && table.onSelectionChanged.add) {
+        formContext.trackExcelHandler(await table.onSelectionChanged.add(async (event) => {
+          if (!event.isInsideTable) return;
+          const ref = tryParseReference(event.address);
+          if (!ref) return;
+          const idx = ref.areas[0].r1 - 1 - rec.bodyRow;
+          if (idx >= 0 && idx < rec.count && idx !== rec.index) {
+            await loadRecord(rec, idx).catch(e => window.ErrorHandler?.warn(e, `Load ${rec.table} row ${idx + 1}`));
+          }
+        }));
+      }
+      if (table.onChanged && table.onChanged.add) {
+        formContext.trackExcelHandler(await table.onChanged.add(async () => {
+          clearTimeout(changeTimer);
+          changeTimer = setTimeout(() => {
+            loadRecord(rec, rec.index, { keepFocused: true })
+              .catch(e => window.ErrorHandler?.warn(e, `Reload ${rec.table} after a change`));
+          }, 150);
+        }));
+      }
+      await ctx.sync();
+    }, { retries: 0 });
+  } catch (e) { window.ErrorHandler?.warn(e, `Table events for ${rec.table} unavailable`); }
+}
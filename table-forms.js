@@ -0,0 +1,227 @@
+// Generated table forms: a record form built from any Excel table's columns
+
+/**
+ * When the selection is inside a table that no route or open form covers, a bar
+ * above the form offers one. Accepting builds a schema from the table (see
+ * inferTableSchema), registers it like a _Forms form and adds a session route
+ * for the table, so the form stays up while the selection is in the table and
+ * gives way to the sheet's own form outside it. Explicit routes always win.
+ */
+let TableFormRoutes = []; // session routes for accepted offers, lowest precedence
+const tableOfferDismissed = new Set(); // lower-cased table names
+
+function tableFormId(tableName) {
+  return `table-${tableName.replace(/[^\w-]/g, "_")}`;
+}
+
+async function updateTableOffer(ctx, sheetName, selectionAddress, routed) {
+  try {
+    const table = routed ? null : await tableAtSelection(ctx, selectionAddress);
+    const offer = table && !tableOfferDismissed.has(table.toLowerCase()) && !hasTableForm(table);
+    showTableOffer(offer ? table : null, sheetName);
+  } catch (e) {
+    window.ErrorHandler?.warn(e, "Table form offer unavailable");
+    showTableOffer(null);
+  }
+}
+
+// Name of the table on the active sheet that contains the whole selection, or null
+async function tableAtSelection(ctx, selectionAddress) {
+  const tables = ctx.workbook.worksheets.getActiveWorksheet().tables;
+  tables.load("items/name");
+  await ctx.sync();
+  if (!tables.items.length) return null;
+  const ranges = tables.items.map((t) => {
+    const rng = t.getRange();
+    rng.load("address");
+    return { name: t.name, rng };
+  });
+  await ctx.sync();
+  const hit = ranges.find(({ rng }) => containsAddress(localizeAddress(rng.address), normalizeA1(selectionAddress)));
+  return hit ? hit.name : null;
+}
+
+// An explicit route to the table, or a form on screen that already edits it
+function hasTableForm(tableName) {
+  const key = tableName.toLowerCase();
+  if (SelectionRoutes.some(r => String(r.match?.table || "").toLowerCase() === key)) return true;
+  return [...document.querySelectorAll("#app [data-table]")].some(el => el.dataset.table.trim().toLowerCase() === key);
+}
+
+function showTableOffer(tableName, sheetName) {
+  const bar = document.getElementById("tableOffer");
+  if (!bar) return;
+  bar.hidden = !tableName;
+  bar.replaceChildren();
+  if (!tableName) return;
+
+  const text = document.createElement("span");
+  text.textContent = `Table ${tableName} has no form.`;
+  const open = document.createElement("button");
+  open.type = "button";
+  open.className = "btn primary";
+  open.textContent = "Open form";
+  open.addEventListener("click", () => {
+    openTableForm(tableName, sheetName).catch(e => window.ErrorHandler?.handleError(e, `Table form ${tableName}`));
+  });
+  const dismiss = document.createElement("button");
+  dismiss.type = "button";
+  dismiss.className = "btn";
+  dismiss.textContent = "Not now";
+  dismiss.addEventListener("click", () => {
+    tableOfferDismissed.add(tableName.toLowerCase());
+    showTableOffer(null);
+  });
+  bar.append(text, open, dismiss);
+}
+
+async function openTableForm(tableName, sheetName) {
+  window.ErrorHandler?.breadcrumb("excel", "infer table form", tableName);
+  const schema = await ExcelRunner.run(ctx => inferTableSchema(ctx, tableName));
+  const problems = registerSchemaForm(schema);
+  if (problems.length) throw new Error(problems.join("; "));
+
+  TableFormRoutes = TableFormRoutes.filter(r => r.form !== schema.id);
+  TableFormRoutes.push({ sheet: sheetName, match: { table: tableName, mode: "within" }, form: schema.id, priority: 0, row: null });
+  showTableOffer(null);
+  await manageSelectionSubscription();
+  await renderForm(schema.id, { sheetName, hint: null, selectionAddress: "", override: true });
+}
+
+// ---------- Inference ----------
+
+/**
+ * One field per header. The type comes from the column's data validation when
+ * it has one (list → select, whole/decimal → number with min/max, date, text
+ * length → maxlength), else from the first data row's number format (date,
+ * date+time, percent, currency, number) or a boolean value. Columns whose first
+ * and last rows both hold formulas are treated as calculated and read-only.
+ */
+async function inferTableSchema(ctx, tableName) {
+  const table = ctx.workbook.tables.getItem(tableName);
+  const header = table.getHeaderRowRange();
+  const body = table.getDataBodyRange();
+  header.load("values");
+  body.load("rowCount");
+  await ctx.sync();
+
+  const headers = (header.values[0] || []).map(h => String(h ?? "").trim());
+  let first = null, last = null;
+  if (body.rowCount > 0) {
+    first = body.getRow(0);
+    first.load(["numberFormat", "formulas", "valueTypes"]);
+    last = body.getRow(body.rowCount - 1);
+    last.load("formulas");
+  }
+  await ctx.sync();
+  const rules = first ? await loadColumnValidation(ctx, first, headers.length) : [];
+
+  const names = new Set();
+  const fields = headers.map((h, c) => {
+    const field = inferField(h, {
+      format: first?.numberFormat[0][c],
+      valueType: first?.valueTypes[0][c],
+      calculated: !!first && isFormula(first.formulas[0][c]) && isFormula(last.formulas[0][c]),
+      validation: rules[c]
+    });
+    let name = fieldName(field, c);
+    if (names.has(name)) name = `${name}${c + 1}`;
+    names.add(name);
+    field.name = name;
+    return field;
+  });
+
+  return {
+    id: tableFormId(tableName),
+    title: tableName,
+    description: `Generated from the columns of table ${tableName}.`,
+    table: tableName,
+    fields
+  };
+}
+
+function isFormula(v) {
+  return typeof v === "string" && v.startsWith("=");
+}
+
+// Range.dataValidation needs ExcelApi 1.8; without it fields fall back to number formats
+async function loadColumnValidation(ctx, row, count) {
+  try {
+    const dvs = Array.from({ length: count }, (_, c) => {
+      const dv = row.getCell(0, c).dataValidation;
+      dv.load(["type", "rule"]);
+      return dv;
+    });
+    await ctx.sync();
+    return dvs.map(dv => ({ type: dv.type, rule: dv.rule }));
+  } catch {
+    return [];
+  }
+}
+
+function inferField(header, { format, valueType, calculated, validation }) {
+  const field = { label: header || "Column", column: header, type: "text" };
+  const fromRule = validation ? fieldFromValidation(validation) : null;
+  if (fromRule) Object.assign(field, fromRule);
+  else {
+    const kind = numberFormatKind(format);
+    if (kind) field.type = kind;
+    else if (String(valueType) === "Boolean") field.type = "boolean";
+  }
+  if (calculated) {
+    field.readonly = true;
+    if (["select", "list", "boolean"].includes(field.type)) field.type = "text";
+    delete field.options;
+  }
+  return field;
+}
+
+function fieldFromValidation({ type, rule }) {
+  const t = String(type || "");
+  if (t === "List" && rule?.list) {
+    const source = String(rule.list.source || "").trim();
+    if (!source) return null;
+    return {
+      type: "select",
+      options: source.startsWith("=") ? source.slice(1) : source.split(",").map(s => s.trim()).filter(Boolean)
+    };
+  }
+  if ((t === "WholeNumber" || t === "Decimal") && rule) {
+    const r = rule.wholeNumber || rule.decimal || {};
+    return { type: "number", ...validationBounds(r) };
+  }
+  if (t === "Date") return { type: "date" };
+  if (t === "TextLength" && rule?.textLength) {
+    const { max } = validationBounds(rule.textLength);
+    return max !== undefined ? { maxlength: max } : null;
+  }
+  return null;
+}
+
+// Numeric min/max from a basic validation rule; formulas such as "=B1" are skipped
+function validationBounds({ operator, formula1, formula2 }) {
+  const num = (f) => {
+    const n = Number(String(f ?? "").replace(/^=/, ""));
+    return String(f ?? "").trim() !== "" && Number.isFinite(n) ? n : undefined;
+  };
+  const out = {};
+  const op = String(operator || "");
+  if (op === "Between") { out.min = num(formula1); out.max = num(formula2); }
+  else if (op === "GreaterThan" || op === "GreaterThanOrEqualTo") out.min = num(formula1);
+  else if (op === "LessThan" || op === "LessThanOrEqualTo") out.max = num(formula1);
+  for (const k of Object.keys(out)) if (out[k] === undefined) delete out[k];
+  return out;
+}
+
+// "date" | "datetime" | "percent" | "currency" | "number" | null (text, general, time of day)
+function numberFormatKind(format) {
+  const raw = String(format ?? "").split(";")[0];
+  const currency = /[$€£¥]|\[\$[^-\]]/.test(raw.replace(/\[\$-[^\]]*\]/g, "")); // [$-409] is a locale, not a symbol
+  const f = raw.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, "").toLowerCase().trim();
+  if (!f || f === "general" || f === "@") return null;
+  if (/[yd]/.test(f)) return /[hs]/.test(f) ? "datetime" : "date";
+  if (/[hs]/.test(f)) return null;
+  if (f.includes("%")) return "percent";
+  if (currency) return "currency";
+  return /[0#?]/.test(f) ? "number" : null;
+}
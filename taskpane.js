@@ -7,65 +7,103 @@ let lastRenderedFormId = null;
 const HtmlMap = {
   default:  "./forms/default.html",
   settings: "./forms/settings.html",
-  colorPalette: "./forms/colorPalette.html"
+  colorPalette: "./forms/colorPalette.html",
+  guest: "./forms/guest.html",
+  orders: "./forms/orders.html",
+  inventory: "./forms/inventory.html",
+  audit: "./forms/audit.html",
+  diagnostics: "./forms/diagnostics.html",
+  expenses: "./forms/expenses.json"
 };
 
 /**
  * Selection-based overrides per sheet.
- * Each rule supports either:
+ * rule.sheet is a sheet name, glob ("Orders_*") or regex literal ("/^Q\\d$/").
+ * rule.match criteria (all given ones must hold):
  *   - match.address: A1 address on the sheet (e.g., "B3" or "A2:C10")
- *   - match.name:    Workbook/worksheet named range (e.g., "CodeLink")
+ *   - match.name:    Named range; the active sheet's scope is searched before the
+ *                    workbook's (e.g., "CodeLink", "Settings!CodeLink")
+ *   - match.table:   selection is inside this Excel table
+ *   - match.column:  …and inside this column of match.table
+ *   - match.value:   active cell value equals this (case-insensitive)
+ *   - match.list:    active cell has list validation with this source
+ *   - match.mode:    how address/name/table ranges compare with the selection:
+ *                    "covers" (default for address/name), "touches" or
+ *                    "within" (default for table); see rangeMatches()
+ * Rules without a match apply to the whole sheet (see SheetRoutes).
+ * Optional: priority (higher wins, default 0).
  *
  * Examples:
  *   { sheet: "settings", match: { address: "B3" }, form: "settingsCode" }
  *   { sheet: "settings", match: { name: "CodeLink" }, form: "settingsCode" }
+ *   { sheet: "Orders_*", match: { table: "Orders", column: "Status" }, form: "orderStatus" }
+ *
+ * These built-in rules only apply while the workbook has no routing table;
+ * see loadRoutes() for the `_Routes` sheet / `Routes` table format.
  */
-const SelectionRoutes = [
+const DefaultSelectionRoutes = [
   { sheet: "settings", match: { address: "B3" }, form: "colorPalette" },
 ];
+let SelectionRoutes = DefaultSelectionRoutes;
+let SheetRoutes = []; // whole-sheet rules from the routing table
 
 // Keep current selection subscription so we can add/remove dynamically
 let selectionSub = null;
 let selectionSubSheet = null;
 
 Office.onReady(async () => {
+  window.ErrorHandler?.init(); // reads _Settings (dev mode, log limit) and the log collector
+  registerRibbonCommands();
+  setupPaneHeader();
+  await loadSchemaForms(); // before routes, which may name sheet-defined forms
+  await loadRoutes();
   await renderForActiveWorksheet();
   await setupWorkbookEvents();
 });
 
+// Not retried: a re-run would add the handlers registered before the failure again
 async function setupWorkbookEvents() {
   try {
-    await Excel.run(async (ctx) => {
+    await ExcelRunner.run(async (ctx) => {
       const sheets = ctx.workbook.worksheets;
 
       // Re-render + adjust selection wiring on tab switch
       if (sheets.onActivated && sheets.onActivated.add) {
         await sheets.onActivated.add(async () => {
+          const before = renderSeq;
           await renderForActiveWorksheet();
+          // Same form on the new sheet: its unqualified binds now point elsewhere
+          if (renderSeq === before) await refreshActiveFormBindings();
           await manageSelectionSubscription();
         });
       }
 
+      // A routing table can be added or removed while the pane is open
+      if (sheets.onAdded && sheets.onAdded.add) await sheets.onAdded.add(scheduleRoutesReload);
+      if (sheets.onDeleted && sheets.onDeleted.add) await sheets.onDeleted.add(scheduleRoutesReload);
+
       // Initial selection wiring for the current active sheet
       await manageSelectionSubscription();
 
       await ctx.sync();
-    });
+    }, { retries: 0 });
   } catch (e) {
-    alert("Workbook event setup failed:");
+    window.ErrorHandler?.error(e, "Workbook events");
   }
 }
 
 // Add/remove selectionChanged depending on whether ACTIVE sheet has any SelectionRoutes
+// (or tables, which may get a generated form, or the form listens for selectionchange)
 async function manageSelectionSubscription() {
   try {
-    await Excel.run(async (ctx) => {
+    await ExcelRunner.run(async (ctx) => {
       const ws = ctx.workbook.worksheets.getActiveWorksheet();
       ws.load("name");
+      ws.tables.load("items/name");
       await ctx.sync();
       const sheetName = ws.name || "";
 
-      const needsSelection = hasSelectionRoutesForSheet(sheetName);
+      const needsSelection = hasSelectionRoutesForSheet(sheetName) || ws.tables.items.length > 0 || formWantsSelection();
 
       // Remove existing listener if not needed or sheet changed
       if (selectionSub && selectionSub.remove) {
@@ -84,174 +122,689 @@ async function manageSelectionSubscription() {
         }
       }
       await ctx.sync();
-    });
+    }, { retries: 0 });
   } catch (e) {
-    console.warn("manageSelectionSubscription error:", e);
+    window.ErrorHandler?.warn(e, "Selection subscription");
   }
 }
 
-// Handle selection changes only when needed; reload only if target form differs
+// Handle selection changes only when needed; reload only if target form differs,
+// otherwise tell the mounted form where the selection went
 async function onSelectionChanged() {
   const now = Date.now();
-  if (now - lastRenderTs < RENDER_COOLDOWN_MS) return;
+  const coolingDown = now - lastRenderTs < RENDER_COOLDOWN_MS;
 
   try {
-    await Excel.run(async (ctx) => {
+    await ExcelRunner.run(async (ctx) => {
       const ws = ctx.workbook.worksheets.getActiveWorksheet();
       ws.load("name");
-      const a1 = ws.getRange("A1"); a1.load(["text"]);
       const sel = ctx.workbook.getSelectedRange(); sel.load("address");
       await ctx.sync();
 
       const sheetName = (ws.name || "").trim();
-      const hint = parseFormHintFromCell(a1.text);
-      const baseFormId = pickFormId(hint, sheetName);
-
       const selectionAddress = localizeAddress(sel.address);
+      if (coolingDown || pinned) { await emitFormEvent("selectionchange", { sheetName, selection: selectionAddress }); return; }
+
+      const hint = await readFormHint(ctx, ws, sheetName, { fresh: false });
+      const baseFormId = pickFormId(hint?.id, sheetName);
       const overrideFormId = await pickSelectionOverride(ctx, sheetName, selectionAddress);
       const nextFormId = overrideFormId || baseFormId;
+      const params = hintParamsFor(hint, nextFormId);
 
-      // Only reload if the form is changing
-      if (nextFormId !== lastRenderedFormId) {
+      // Only reload if the form (or its hint parameters) is changing
+      if (nextFormId !== lastRenderedFormId || !sameParams(params)) {
         lastRenderTs = Date.now();
         updateSheetBadge(sheetName);
-        await renderForm(nextFormId, { sheetName, hint, selectionAddress, override: !!overrideFormId });
+        noteRoute(sheetName, nextFormId, hint, !!overrideFormId);
+        await renderForm(nextFormId, { sheetName, hint: hint?.id ?? null, params, selectionAddress, override: !!overrideFormId });
+      } else {
+        await emitFormEvent("selectionchange", { sheetName, selection: selectionAddress });
       }
-    });
+      await updateTableOffer(ctx, sheetName, selectionAddress, !!overrideFormId);
+    }, { retries: 1, label: "selection" }); // the next selection supersedes this one
   } catch (e) {
-    console.error("onSelectionChanged error:", e);
+    window.ErrorHandler?.error(e, "Selection change");
   }
 }
 
 async function renderForActiveWorksheet() {
   lastRenderTs = Date.now();
-  await Excel.run(async (ctx) => {
+  await ExcelRunner.run(async (ctx) => {
     const ws = ctx.workbook.worksheets.getActiveWorksheet();
     ws.load("name");
-    const a1 = ws.getRange("A1"); a1.load(["text"]);
     const sel = ctx.workbook.getSelectedRange(); sel.load("address");
     await ctx.sync();
 
     const sheetName = (ws.name || "").trim();
-    const hint = parseFormHintFromCell(a1.text);
-    const baseFormId = pickFormId(hint, sheetName);
-
     const selectionAddress = localizeAddress(sel.address);
+    if (pinned) {
+      updateSheetBadge(sheetName);
+      await emitSheetChange(sheetName, selectionAddress);
+      return;
+    }
+    const hint = await readFormHint(ctx, ws, sheetName);
+    const baseFormId = pickFormId(hint?.id, sheetName);
     const overrideFormId = await pickSelectionOverride(ctx, sheetName, selectionAddress);
     const finalFormId = overrideFormId || baseFormId;
+    const params = hintParamsFor(hint, finalFormId);
 
     updateSheetBadge(sheetName);
 
-    if (finalFormId !== lastRenderedFormId) {
-      await renderForm(finalFormId, { sheetName, hint, selectionAddress, override: !!overrideFormId });
+    // Sheets sharing a form with different hint parameters get a fresh render
+    if (finalFormId !== lastRenderedFormId || !sameParams(params)) {
+      noteRoute(sheetName, finalFormId, hint, !!overrideFormId);
+      await renderForm(finalFormId, { sheetName, hint: hint?.id ?? null, params, selectionAddress, override: !!overrideFormId });
+    } else {
+      await emitSheetChange(sheetName, selectionAddress);
     }
+    await updateTableOffer(ctx, sheetName, selectionAddress, !!overrideFormId);
   });
 }
 
-// ---------- Routing helpers ----------
+// ---------- Ribbon commands ----------
+
+// ExecuteFunction buttons in manifest.xml call these by name (shared runtime)
+function registerRibbonCommands() {
+  if (!Office.actions || !Office.actions.associate) return;
+  Office.actions.associate("showGuest", showGuest);
+}
 
-function parseFormHintFromCell(text2d) {
+async function showGuest(event) {
   try {
-    const t = (text2d && text2d[0] && text2d[0][0]) ? String(text2d[0][0]) : "";
-    const m = /form\s*:\s*([a-z0-9_-]+)/i.exec(t);
-    return m ? m[1].toLowerCase() : null;
-  } catch { return null; }
+    if (Office.addin && Office.addin.showAsTaskpane) await Office.addin.showAsTaskpane();
+    await openFormManually("guest");
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, "showGuest");
+  } finally {
+    if (event && event.completed) event.completed();
+  }
+}
+
+// ---------- Routing helpers ----------
+
+// Breadcrumb for a routing decision, so a logged error shows why the form was up
+function noteRoute(sheetName, formId, hint, override) {
+  const why = override ? "selection route" : hint && hint.id === formId ? `hint (${hint.source})` : "sheet";
+  window.ErrorHandler?.breadcrumb("route", `${sheetName || "(no sheet)"} → ${formId}`, why);
 }
 
 function pickFormId(hint, sheetName) {
-  if (hint && HtmlMap[hint]) return hint;
-  const key = (sheetName || "").toLowerCase().trim();
-  if (HtmlMap[key]) return key;
+  if (isKnownForm(hint)) return hint;
+  const sheetRoute = SheetRoutes.find(r => sheetMatches(r.sheet, sheetName));
+  if (sheetRoute) return sheetRoute.form;
+  const key = canonicalFormId((sheetName || "").trim());
+  if (isKnownForm(key)) return key;
   return "default";
 }
 
+// Hint parameters only go to the form the hint named
+function hintParamsFor(hint, formId) {
+  return hint && hint.id === formId ? hint.params : {};
+}
+
+function sameParams(params) {
+  const current = activeForm ? activeForm.context.params : {};
+  const keys = Object.keys(params);
+  return keys.length === Object.keys(current).length && keys.every(k => current[k] === params[k]);
+}
+
+// ---------- Form hints ----------
+
+/**
+ * A hint names the form for a sheet and may carry parameters for it:
+ *   form:colorPalette?scheme=pastel&count=6&target=Brand
+ * Values are URL-decoded; the form reads them from context.params. Sources, the
+ * first one found wins:
+ *   1. the text of A1 on the sheet
+ *   2. a _FormHint name scoped to the sheet (pointing at a cell, or a text constant)
+ *   3. a custom XML part in FORM_HINT_NS:
+ *        <formHints xmlns="urn:shared-addin:form-hints">
+ *          <sheet name="Brand">form:colorPalette?scheme=pastel</sheet>
+ *        </formHints>
+ *   4. a workbook-level _FormHint name
+ *   5. the FormHint custom document property
+ * Workbook-level sources (4, 5) can hold several hints, separated by ";" or new
+ * lines, each optionally prefixed with a sheet pattern as used in _Routes:
+ *   Orders_*: form:orders?region=EU; Settings: form:settings; form:default
+ * Unprefixed hints apply to every sheet. Sources 3-5 are re-read when the active
+ * sheet is rendered, not on every selection change.
+ */
+const FORM_HINT_NAME = "_FormHint";
+const FORM_HINT_PROPERTY = "FormHint";
+const FORM_HINT_NS = "urn:shared-addin:form-hints";
+const FORM_HINT_RE = /form\s*:\s*([a-z0-9_-]+)(?:\?([^\s;]*))?/i;
+
+let workbookHints = null; // { name, property, xml: { sheet name (lower case) → hint text } }
+
+// { id, params, source } or null
+function parseFormHint(text) {
+  const m = FORM_HINT_RE.exec(String(text ?? ""));
+  if (!m) return null;
+  const params = {};
+  try {
+    for (const [k, v] of new URLSearchParams(m[2] || "")) params[k] = v;
+  } catch { /* malformed escapes: keep the form, drop the parameters */ }
+  return { id: canonicalFormId(m[1]), params };
+}
+
+function pickHintForSheet(text, sheetName) {
+  let fallback = null;
+  for (const entry of String(text ?? "").split(/[;\n]/)) {
+    const scoped = /^\s*(.+?)\s*:\s*(form\s*:.*)$/i.exec(entry);
+    if (scoped) {
+      if (sheetMatches(scoped[1], sheetName)) return parseFormHint(scoped[2]);
+    } else if (!fallback) {
+      fallback = parseFormHint(entry);
+    }
+  }
+  return fallback;
+}
+
+async function readFormHint(ctx, ws, sheetName, { fresh = true } = {}) {
+  const a1 = ws.getRange("A1");
+  a1.load("text");
+  const scoped = ws.names.getItemOrNullObject(FORM_HINT_NAME);
+  scoped.load(["type", "value"]);
+  await ctx.sync();
+
+  let wb = null;
+  const workbook = async () => (wb = wb || await readWorkbookHints(ctx, fresh));
+  const sources = [
+    ["A1", () => parseFormHint(a1.text?.[0]?.[0])],
+    [`${FORM_HINT_NAME} on ${sheetName}`, async () => parseFormHint(await namedHintText(ctx, scoped))],
+    ["custom XML", async () => parseFormHint((await workbook()).xml[sheetName.toLowerCase()])],
+    [FORM_HINT_NAME, async () => pickHintForSheet((await workbook()).name, sheetName)],
+    [`${FORM_HINT_PROPERTY} property`, async () => pickHintForSheet((await workbook()).property, sheetName)]
+  ];
+  for (const [source, read] of sources) {
+    try {
+      const hint = await read();
+      if (hint) return { ...hint, source };
+    } catch (e) {
+      window.ErrorHandler?.warn(e, `Form hint from ${source}`);
+    }
+  }
+  return null;
+}
+
+// A _FormHint name's text: the referenced cell's text, or the constant's value
+async function namedHintText(ctx, item) {
+  if (item.isNullObject) return "";
+  if (item.type !== "Range") return String(item.value ?? "");
+  const cell = item.getRange().getCell(0, 0);
+  cell.load("text");
+  await ctx.sync();
+  return cell.text[0][0];
+}
+
+// Read once per render; each source is skipped when the host lacks its API
+async function readWorkbookHints(ctx, fresh) {
+  if (workbookHints && !fresh) return workbookHints;
+  const out = { name: "", property: "", xml: {} };
+
+  const name = ctx.workbook.names.getItemOrNullObject(FORM_HINT_NAME);
+  name.load(["type", "value"]);
+  await ctx.sync();
+  out.name = await namedHintText(ctx, name);
+
+  try { // ExcelApi 1.7
+    const prop = ctx.workbook.properties.custom.getItemOrNullObject(FORM_HINT_PROPERTY);
+    prop.load("value");
+    await ctx.sync();
+    if (!prop.isNullObject) out.property = String(prop.value ?? "");
+  } catch { /* custom document properties unavailable */ }
+
+  try { // ExcelApi 1.5
+    const parts = ctx.workbook.customXmlParts.getByNamespace(FORM_HINT_NS);
+    parts.load("items");
+    await ctx.sync();
+    const xml = parts.items.map(p => p.getXml());
+    await ctx.sync();
+    for (const x of xml) parseHintXml(x.value, out.xml);
+  } catch { /* custom XML unavailable */ }
+
+  workbookHints = out;
+  return out;
+}
+
+function parseHintXml(xml, out) {
+  const doc = new DOMParser().parseFromString(String(xml || ""), "application/xml");
+  for (const el of doc.getElementsByTagNameNS(FORM_HINT_NS, "sheet")) {
+    const sheet = (el.getAttribute("name") || "").trim().toLowerCase();
+    if (sheet && !(sheet in out)) out[sheet] = el.textContent.trim();
+  }
+}
+
 function hasSelectionRoutesForSheet(sheetName) {
-  const s = (sheetName || "").toLowerCase().trim();
-  return SelectionRoutes.some(r => (r.sheet || "").toLowerCase().trim() === s);
+  return [...SelectionRoutes, ...TableFormRoutes].some(r => sheetMatches(r.sheet, sheetName));
+}
+
+/**
+ * Sheet patterns: exact name ("Orders"), glob ("Orders_*", "Q?_Report") or
+ * regex literal ("/^Orders_\d{4}$/i"). Exact and glob compare case-insensitively.
+ */
+const sheetPatternCache = new Map();
+
+function sheetMatches(pattern, sheetName) {
+  const re = compileSheetPattern(pattern);
+  return !!re && re.test(String(sheetName || "").trim());
+}
+
+// Returns a RegExp, or null when the pattern is an invalid regex literal
+function compileSheetPattern(pattern) {
+  const p = String(pattern || "").trim();
+  if (sheetPatternCache.has(p)) return sheetPatternCache.get(p);
+  let re = null;
+  const lit = /^\/(.+)\/([a-z]*)$/.exec(p);
+  if (lit) {
+    try { re = new RegExp(lit[1], lit[2]); } catch { re = null; }
+  } else {
+    const body = p.split("").map(ch =>
+      ch === "*" ? ".*" : ch === "?" ? "." : ch.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    ).join("");
+    re = new RegExp(`^${body}$`, "i");
+  }
+  sheetPatternCache.set(p, re);
+  return re;
 }
 
-// Async: can resolve named ranges within rules
+/**
+ * Async: rules can look at named ranges, tables and the active cell.
+ * All criteria in rule.match must hold; SelectionRoutes is already sorted by
+ * priority, so the first matching rule wins.
+ */
 async function pickSelectionOverride(ctx, sheetName, selectionAddress) {
-  const s = (sheetName || "").toLowerCase().trim();
-  const sel = normalizeA1(selectionAddress);
-  if (!hasSelectionRoutesForSheet(s)) return null;
+  // Generated table forms come last, so any explicit route wins
+  const rules = [...SelectionRoutes, ...TableFormRoutes].filter(r => sheetMatches(r.sheet, sheetName));
+  if (!rules.length) return null;
+
+  const probe = createSelectionProbe(ctx, sheetName, normalizeA1(selectionAddress));
+  for (const rule of rules) {
+    try {
+      if (await ruleMatches(rule.match || {}, probe)) return rule.form;
+    } catch (e) {
+      window.ErrorHandler?.warn(e, `Route for "${rule.form}"`);
+    }
+  }
+  return null;
+}
+
+async function ruleMatches(m, probe) {
+  const sel = probe.selection;
+
+  // Address match (fast path)
+  if (m.address && !rangeMatches(sel, m.address, m.mode)) return false;
+
+  if (m.name) {
+    const local = await probe.namedRange(m.name);
+    if (!local || !rangeMatches(sel, local, m.mode)) return false;
+  }
+
+  // Selection inside a table, or inside one of its columns
+  if (m.table) {
+    const local = await probe.tableRange(m.table, m.column);
+    if (!local || !rangeMatches(sel, local, m.mode || "within")) return false;
+  }
+
+  if (m.value !== undefined) {
+    const cell = await probe.activeCell();
+    if (!sameCellText(cell.value, m.value)) return false;
+  }
 
-  for (const rule of SelectionRoutes) {
-    if ((rule.sheet || "").toLowerCase().trim() !== s) continue;
-    const m = rule.match || {};
+  if (m.list !== undefined) {
+    const source = await probe.validationList();
+    if (source === null || !sameCellText(source.replace(/^=/, ""), String(m.list).replace(/^=/, ""))) return false;
+  }
+  return true;
+}
+
+function sameCellText(a, b) {
+  return String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+}
 
-    // Address match (fast path)
-    if (m.address && containsAddress(sel, normalizeA1(m.address))) {
-      return rule.form;
+/**
+ * Lazily loads (and caches) the workbook state that rules ask about, so a sheet
+ * with many rules costs one sync per distinct lookup. Range lookups resolve to a
+ * local A1 address on the active sheet, or null.
+ */
+function createSelectionProbe(ctx, sheetName, selection) {
+  const s = (sheetName || "").toLowerCase().trim();
+  const memo = new Map();
+  const once = (key, fn) => {
+    if (!memo.has(key)) memo.set(key, fn());
+    return memo.get(key);
+  };
+  const onThisSheet = (address) => {
+    // address like "Settings!$B$3" → ensure it's on the same sheet
+    const ref = parseReference(address);
+    return !ref.sheet || ref.sheet.toLowerCase().trim() === s ? localizeAddress(address) : null;
+  };
+  let activeCell = null;
+  const getActiveCell = () => {
+    if (!activeCell) {
+      activeCell = typeof ctx.workbook.getActiveCell === "function"
+        ? ctx.workbook.getActiveCell()
+        : ctx.workbook.getSelectedRange().getCell(0, 0);
     }
+    return activeCell;
+  };
+
+  return {
+    selection,
+
+    namedRange: (name) => once(`name:${name}`, async () => {
+      try {
+        const ws = ctx.workbook.worksheets.getActiveWorksheet();
+        const r = await resolveTargetRange(ctx, ws, name);
+        r.load("address");
+        await ctx.sync();
+        return onThisSheet(r.address);
+      } catch (e) {
+        return null; // missing, or the name exists but is not a range
+      }
+    }),
+
+    tableRange: (table, column) => once(`table:${table}|${column || ""}`, async () => {
+      const t = ctx.workbook.tables.getItemOrNullObject(table);
+      await ctx.sync();
+      if (t.isNullObject) return null;
+      let r;
+      if (column) {
+        const c = t.columns.getItemOrNullObject(column);
+        await ctx.sync();
+        if (c.isNullObject) return null;
+        r = c.getRange();
+      } else {
+        r = t.getRange();
+      }
+      r.load("address");
+      await ctx.sync();
+      return onThisSheet(r.address);
+    }),
 
-    // Named range match
-    if (m.name) {
-      // Try workbook-scoped name first
-      const nm = ctx.workbook.names.getItemOrNullObject(m.name);
-      nm.load(["name", "type"]);
+    activeCell: () => once("activeCell", async () => {
+      const cell = getActiveCell();
+      cell.load(["values", "address"]);
       await ctx.sync();
+      return { address: cell.address, value: cell.values?.[0]?.[0] ?? "" };
+    }),
 
-      if (!nm.isNullObject) {
-        try {
-          const r = nm.getRange();
-          r.load("address");
-          await ctx.sync();
-          // address like "Settings!$B$3" → ensure it's on the same sheet
-          const parts = String(r.address || "").split("!");
-          const sheetFromName = parts.length > 1 ? parts[0].replace(/^'/, "").replace(/'$/, "") : s;
-          if (sheetFromName.toLowerCase().trim() !== s) {
-            continue; // name exists but scoped to a different sheet
-          }
-          const localA1 = localizeAddress(r.address);
-          if (containsAddress(sel, normalizeA1(localA1))) {
-            return rule.form;
-          }
-        } catch (e) {
-          // name exists but not a range; ignore
-        }
+    // Source of the active cell's list validation ("=Statuses", "Open,Closed"), or null
+    validationList: () => once("validationList", async () => {
+      try {
+        const dv = getActiveCell().dataValidation;
+        dv.load(["type", "rule"]);
+        await ctx.sync();
+        if (String(dv.type) !== "List") return null;
+        return String(dv.rule?.list?.source ?? "");
+      } catch (e) {
+        return null; // data validation needs ExcelApi 1.8
+      }
+    })
+  };
+}
+
+// ---------- Routing table ----------
+
+/**
+ * Workbook authors define routes in a `Routes` table or on a `_Routes` sheet
+ * (header row in row 1). Header names are case-insensitive:
+ *
+ *   Sheet    | Address | Name     | Table  | Column | Value | List | Form         | Priority | Enabled
+ *   Settings | B3      |          |        |        |       |      | colorPalette | 10       | TRUE
+ *   Settings |         | CodeLink |        |        |       |      | settings     |          |
+ *   Orders_* |         |          | Orders | Status |       |      | orderStatus  | 5        |
+ *   Orders_* |         |          |        |        |       |      | orders       |          |
+ *
+ * Sheet takes a name, glob or /regex/. Address/Name/Table/Column/Value/List narrow
+ * a route to a selection (see SelectionRoutes); leave them all empty to route the
+ * whole sheet. An optional Mode column (covers/touches/within) picks how ranges
+ * compare with the selection. Priority defaults to 0 (higher wins), Enabled
+ * defaults to TRUE.
+ * Malformed rows are skipped and reported through ErrorHandler.
+ */
+const ROUTES_SHEET = "_Routes";
+const ROUTES_TABLE = "Routes";
+const ROUTE_COLUMNS = {
+  sheet: ["sheet"],
+  address: ["address"],
+  name: ["name", "named range"],
+  table: ["table"],
+  column: ["column", "table column"],
+  value: ["value", "cell value"],
+  list: ["list", "validation list"],
+  mode: ["mode", "match mode"],
+  form: ["form", "form id"],
+  priority: ["priority"],
+  enabled: ["enabled"]
+};
+
+let routesSub = null;
+let routesReloadTimer = null;
+
+async function loadRoutes() {
+  if (routesSub) { await removeExcelHandler(routesSub); routesSub = null; }
+  try {
+    await ExcelRunner.run(async (ctx) => {
+      const source = await readRoutesSource(ctx);
+      if (!source) {
+        SelectionRoutes = DefaultSelectionRoutes;
+        SheetRoutes = [];
+        return;
+      }
+
+      const { routes, problems } = parseRoutesTable(source.values, source.firstRow);
+      SelectionRoutes = routes.filter(r => r.match);
+      SheetRoutes = routes.filter(r => !r.match);
+      if (problems.length) {
+        window.ErrorHandler?.handleError(
+          new Error(`${problems.length} malformed route row(s) in ${source.label}: ${problems.join("; ")}`),
+          "Routes"
+        );
+      }
+
+      if (source.worksheet.onChanged && source.worksheet.onChanged.add) {
+        routesSub = await source.worksheet.onChanged.add(scheduleRoutesReload);
       }
+    }, { retries: 0 });
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, "Routes");
+  }
+}
+
+// Returns { values, firstRow, worksheet, label } or null when the workbook has no routing table
+async function readRoutesSource(ctx) {
+  const table = ctx.workbook.tables.getItemOrNullObject(ROUTES_TABLE);
+  const sheet = ctx.workbook.worksheets.getItemOrNullObject(ROUTES_SHEET);
+  await ctx.sync();
+
+  let rng, worksheet, label;
+  if (!table.isNullObject) {
+    rng = table.getRange();
+    worksheet = table.worksheet;
+    label = `table ${ROUTES_TABLE}`;
+  } else if (!sheet.isNullObject) {
+    rng = sheet.getUsedRangeOrNullObject();
+    worksheet = sheet;
+    label = ROUTES_SHEET;
+  } else {
+    return null;
+  }
+  rng.load(["values", "rowIndex"]);
+  await ctx.sync();
+  if (rng.isNullObject) return { values: [], firstRow: 1, worksheet, label };
+  return { values: rng.values || [], firstRow: rng.rowIndex + 1, worksheet, label };
+}
+
+// values[0] is the header row; firstRow is its 1-based sheet row (for messages)
+function parseRoutesTable(values, firstRow) {
+  const routes = [];
+  const problems = [];
+  if (!values.length) return { routes, problems };
+
+  const header = values[0].map(h => String(h ?? "").toLowerCase().trim());
+  const col = {};
+  for (const [key, names] of Object.entries(ROUTE_COLUMNS)) {
+    col[key] = header.findIndex(h => names.includes(h));
+  }
+  if (col.sheet < 0 || col.form < 0) {
+    problems.push(`header row needs at least "Sheet" and "Form" columns`);
+    return { routes, problems };
+  }
+  const cell = (row, key) => (col[key] < 0 ? "" : String(row[col[key]] ?? "").trim());
+
+  values.slice(1).forEach((row, i) => {
+    const rowNo = firstRow + 1 + i;
+    if (row.every(v => String(v ?? "").trim() === "")) return;
+    if (!parseEnabled(cell(row, "enabled"))) return;
 
-      // Optionally: look for a worksheet-scoped name with same identifier
-      // (Excel JS exposes most names via workbook.names; skipping extra search for brevity)
+    const sheet = cell(row, "sheet");
+    const form = canonicalFormId(cell(row, "form"));
+    const address = cell(row, "address");
+    const name = cell(row, "name");
+    const table = cell(row, "table");
+    const column = cell(row, "column");
+    const mode = cell(row, "mode").toLowerCase();
+    const priorityText = cell(row, "priority");
+    const priority = priorityText === "" ? 0 : Number(priorityText);
+
+    if (!sheet) { problems.push(`row ${rowNo}: missing sheet`); return; }
+    if (!compileSheetPattern(sheet)) { problems.push(`row ${rowNo}: invalid sheet pattern "${sheet}"`); return; }
+    if (!form) { problems.push(`row ${rowNo}: missing form`); return; }
+    if (!isKnownForm(form)) { problems.push(`row ${rowNo}: unknown form "${form}"`); return; }
+    if (!Number.isFinite(priority)) { problems.push(`row ${rowNo}: priority "${priorityText}" is not a number`); return; }
+    if (address && name) { problems.push(`row ${rowNo}: set Address or Name, not both`); return; }
+    if (address) {
+      try { parseReference(address); }
+      catch (e) { problems.push(`row ${rowNo}: ${e.message}`); return; }
     }
+    if (mode && !RANGE_MODES.includes(mode)) { problems.push(`row ${rowNo}: mode "${mode}" is not one of ${RANGE_MODES.join(", ")}`); return; }
+    if (column && !table) { problems.push(`row ${rowNo}: Column needs a Table`); return; }
+
+    const match = {};
+    if (address) match.address = address;
+    if (name) match.name = name;
+    if (table) match.table = table;
+    if (column) match.column = column;
+    if (mode) match.mode = mode;
+    if (cell(row, "value")) match.value = cell(row, "value");
+    if (cell(row, "list")) match.list = cell(row, "list");
+    routes.push({ sheet, match: Object.keys(match).length ? match : null, form, priority, row: rowNo });
+  });
+
+  // Stable sort: higher priority first, table order breaks ties
+  routes.sort((a, b) => b.priority - a.priority);
+  return { routes, problems };
+}
+
+function parseEnabled(text) {
+  const t = String(text || "").toLowerCase();
+  return !(t === "false" || t === "0" || t === "no" || t === "n");
+}
+
+function scheduleRoutesReload() {
+  clearTimeout(routesReloadTimer);
+  routesReloadTimer = setTimeout(reloadRoutes, 300);
+}
+
+// Runs from timers and Excel events, so failures are reported here rather than rejected
+async function reloadRoutes() {
+  try {
+    await loadRoutes();
+    await renderForActiveWorksheet();
+    await manageSelectionSubscription();
+  } catch (e) {
+    window.ErrorHandler?.error(e, "Reload routes");
   }
-  return null;
 }
 
 // ---------- Address utilities ----------
 
-function localizeAddress(fullAddress) {
-  const parts = String(fullAddress || "").split("!");
-  const local = parts.length > 1 ? parts.slice(1).join("!") : parts[0];
-  return local.replace(/\$/g, "");
+const MAX_ROWS = 1048576;
+const MAX_COLS = 16384;
+
+/**
+ * A1 reference grammar shared by routing and bindings:
+ *   cell      A1, $B$3
+ *   range     A1:C10
+ *   columns   B:B, B:D
+ *   rows      3:5
+ *   sheet     Sheet1!A1, 'My Sheet'!A1:B2, 'Bob''s!List'!C:C
+ *   union     A1:B2,D4 (each area may carry its own sheet prefix)
+ *
+ * Returns { sheet, areas } where sheet is the unquoted sheet name shared by all
+ * areas (or null) and each area is { sheet, kind, c1, r1, c2, r2 } with 1-based,
+ * inclusive bounds; kind is "cell", "range", "cols" or "rows". Whole columns and
+ * rows span the full grid. Invalid references throw.
+ */
+function parseReference(ref) {
+  const text = String(ref ?? "").trim();
+  if (!text) throw new Error("Invalid A1 reference: empty");
+  const areas = splitOutsideQuotes(text, ",").map(part => parseArea(part.trim(), text));
+  const sheets = new Set(areas.map(a => a.sheet));
+  return { sheet: sheets.size === 1 ? areas[0].sheet : null, areas };
 }
-function normalizeA1(addr) { return String(addr || "").replace(/\$/g, "").toUpperCase(); }
 
-function containsAddress(selection, target) {
-  const selAreas = selection.split(",");
-  const tgtAreas = target.split(",");
-  for (const t of tgtAreas) {
-    const tArea = parseArea(t.trim());
-    let covered = false;
-    for (const s of selAreas) {
-      const sArea = parseArea(s.trim());
-      if (areaContains(sArea, tArea)) { covered = true; break; }
+function tryParseReference(ref) {
+  try { return parseReference(ref); } catch { return null; }
+}
+
+function a1Error(ref, why) {
+  return new Error(`Invalid A1 reference "${ref}": ${why}`);
+}
+
+function splitOutsideQuotes(text, sep) {
+  const out = [];
+  let cur = "", quoted = false;
+  for (const ch of text) {
+    if (ch === "'") quoted = !quoted; // '' inside a quoted name toggles twice
+    if (ch === sep && !quoted) { out.push(cur); cur = ""; continue; }
+    cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+// "'My Sheet'!A1" → { sheet: "My Sheet", local: "A1" }
+function splitSheetPrefix(a1, ref = a1) {
+  if (a1.startsWith("'")) {
+    let i = 1, name = "";
+    while (i < a1.length) {
+      if (a1[i] === "'") {
+        if (a1[i + 1] === "'") { name += "'"; i += 2; continue; }
+        break;
+      }
+      name += a1[i++];
     }
-    if (!covered) return false;
+    if (a1[i] !== "'" || a1[i + 1] !== "!") throw a1Error(ref, "unterminated quoted sheet name");
+    if (!name) throw a1Error(ref, "empty sheet name");
+    return { sheet: name, local: a1.slice(i + 2) };
   }
-  return true;
+  const bang = a1.lastIndexOf("!");
+  if (bang < 0) return { sheet: null, local: a1 };
+  const sheet = a1.slice(0, bang);
+  if (!sheet || /[\s!']/.test(sheet)) throw a1Error(ref, `sheet name "${sheet}" must be quoted`);
+  return { sheet, local: a1.slice(bang + 1) };
 }
 
-function parseArea(a1) {
-  const parts = a1.split(":");
-  if (parts.length === 1) {
-    const pt = parsePoint(parts[0]);
-    return { c1: pt.c, r1: pt.r, c2: pt.c, r2: pt.r };
+function parseArea(a1, ref = a1) {
+  const { sheet, local } = splitSheetPrefix(a1, ref);
+  const ends = local.split(":");
+  if (ends.length > 2) throw a1Error(ref, `"${local}" has more than one ":"`);
+  const p1 = parsePoint(ends[0], ref);
+  const p2 = ends.length === 2 ? parsePoint(ends[1], ref) : p1;
+  if (p1.kind !== p2.kind) throw a1Error(ref, `"${local}" mixes cells, columns and rows`);
+  if (ends.length === 1 && p1.kind !== "cell") throw a1Error(ref, `"${local}" needs a range like ${local}:${local}`);
+
+  if (p1.kind === "col") {
+    return { sheet, kind: "cols", c1: Math.min(p1.c, p2.c), r1: 1, c2: Math.max(p1.c, p2.c), r2: MAX_ROWS };
+  }
+  if (p1.kind === "row") {
+    return { sheet, kind: "rows", c1: 1, r1: Math.min(p1.r, p2.r), c2: MAX_COLS, r2: Math.max(p1.r, p2.r) };
   }
-  const p1 = parsePoint(parts[0]);
-  const p2 = parsePoint(parts[1]);
   return {
+    sheet,
+    kind: ends.length === 1 ? "cell" : "range",
     c1: Math.min(p1.c, p2.c),
     r1: Math.min(p1.r, p2.r),
     c2: Math.max(p1.c, p2.c),
@@ -259,118 +812,1616 @@ function parseArea(a1) {
   };
 }
 
-function parsePoint(p) {
-  const m = /^([A-Z]+)(\d+)$/.exec(String(p).toUpperCase());
-  if (!m) return { c: 1, r: 1 };
-  return { c: colToNum(m[1]), r: parseInt(m[2], 10) };
+function parsePoint(p, ref = p) {
+  const t = String(p).trim().toUpperCase();
+  let m;
+  if ((m = /^\$?([A-Z]{1,3})\$?(\d{1,7})$/.exec(t))) {
+    return { kind: "cell", c: checkCol(m[1], ref), r: checkRow(m[2], ref) };
+  }
+  if ((m = /^\$?([A-Z]{1,3})$/.exec(t))) return { kind: "col", c: checkCol(m[1], ref) };
+  if ((m = /^\$?(\d{1,7})$/.exec(t))) return { kind: "row", r: checkRow(m[1], ref) };
+  throw a1Error(ref, `"${p}" is not a cell, column or row`);
+}
+
+function checkCol(letters, ref) {
+  const c = colToNum(letters);
+  if (c > MAX_COLS) throw a1Error(ref, `column ${letters} is past XFD`);
+  return c;
 }
+function checkRow(digits, ref) {
+  const r = parseInt(digits, 10);
+  if (r < 1 || r > MAX_ROWS) throw a1Error(ref, `row ${digits} is out of range`);
+  return r;
+}
+
 function colToNum(col) { let n = 0; for (let i=0;i<col.length;i++) n = n*26 + (col.charCodeAt(i)-64); return n; }
+function numToCol(n) { let s = ""; while (n > 0) { const m = (n - 1) % 26; s = String.fromCharCode(65 + m) + s; n = (n - m - 1) / 26; } return s; }
+
+// Area → local A1 text without "$" ("B3", "A2:C10", "B:D", "3:5")
+function formatArea(a) {
+  if (a.kind === "cols") return `${numToCol(a.c1)}:${numToCol(a.c2)}`;
+  if (a.kind === "rows") return `${a.r1}:${a.r2}`;
+  const tl = `${numToCol(a.c1)}${a.r1}`;
+  return a.kind === "cell" ? tl : `${tl}:${numToCol(a.c2)}${a.r2}`;
+}
+
+// "Settings!$A$1:$B$2,Settings!$D$4" → "A1:B2,D4"
+function localizeAddress(fullAddress) {
+  return parseReference(fullAddress).areas.map(formatArea).join(",");
+}
+function normalizeA1(addr) { return String(addr || "").replace(/\$/g, "").toUpperCase(); }
+
+function asReference(ref) {
+  return typeof ref === "string" ? parseReference(ref) : ref;
+}
+
+// Areas on different named sheets never relate; an unqualified area matches any sheet
+function sameSheet(a, b) {
+  return !a.sheet || !b.sheet || a.sheet.toLowerCase() === b.sheet.toLowerCase();
+}
+
+// True when every area of target lies inside some area of selection ("selection covers target")
+function containsAddress(selection, target) {
+  const sel = asReference(selection);
+  const tgt = asReference(target);
+  return tgt.areas.every(t => sel.areas.some(s => sameSheet(s, t) && areaContains(s, t)));
+}
+
+// True when any area of a overlaps any area of b ("selection touches target")
+function intersectsAddress(a, b) {
+  const ra = asReference(a);
+  const rb = asReference(b);
+  return ra.areas.some(x => rb.areas.some(y => sameSheet(x, y) && areasIntersect(x, y)));
+}
+
+/**
+ * Route range semantics (rule.match.mode):
+ *   "covers"  selection covers the whole target
+ *   "touches" selection overlaps the target anywhere
+ *   "within"  selection lies entirely inside the target
+ */
+const RANGE_MODES = ["covers", "touches", "within"];
+
+function rangeMatches(selection, target, mode) {
+  if (mode === "touches") return intersectsAddress(selection, target);
+  if (mode === "within") return containsAddress(target, selection);
+  return containsAddress(selection, target);
+}
+
 function areaContains(a, b) { return a.c1 <= b.c1 && a.r1 <= b.r1 && a.c2 >= b.c2 && a.r2 >= b.r2; }
+function areasIntersect(a, b) { return a.c1 <= b.c2 && b.c1 <= a.c2 && a.r1 <= b.r2 && b.r1 <= a.r2; }
 
 // ---------- UI & rendering ----------
 
 function updateSheetBadge(name) {
+  badgeSheet = name || "";
+  window.ErrorHandler?.setScope({ sheet: badgeSheet });
   const el = document.getElementById("sheetName");
-  if (el) el.textContent = name || "(unknown)";
+  if (!el) return;
+  const status = pinned ? "Pinned" : activeForm?.context.override ? "Override" : "";
+  el.textContent = badgeSheet || "(unknown)";
+  if (status) {
+    const tag = document.createElement("span");
+    tag.className = "pill-status";
+    tag.textContent = status;
+    el.append(" ", tag);
+  }
+  el.classList.toggle("is-pinned", pinned);
+  el.title = pinned ? "Pinned: the form stays when the sheet or selection changes"
+    : status ? "Opened by a selection route or command instead of the sheet's form"
+    : "The form follows the active sheet";
 }
 
-async function renderForm(formId, ctx) {
-  const app = document.getElementById("app");
-  if (!app) return;
-  const url = HtmlMap[formId] || HtmlMap.default;
-  app.innerHTML = `<div class="loading">Loading ${formId}…</div>`;
-  const html = await (await fetch(url, { cache: "no-store" })).text();
-  app.innerHTML = html;
-  lastRenderedFormId = formId; // track current
-  await wireBindings(app);
+/**
+ * Copies text to the clipboard. Call it straight from the click handler: the
+ * execCommand path needs the click's user activation, and the async Clipboard
+ * API (the fallback) is blocked in some Office webviews.
+ */
+function copyToClipboard(text) {
+  const area = document.createElement("textarea");
+  area.value = text;
+  area.setAttribute("readonly", "");
+  area.style.cssText = "position:fixed;left:-9999px";
+  document.body.appendChild(area);
+  area.select();
+  let ok = false;
+  try { ok = document.execCommand("copy"); } catch { /* not supported */ }
+  area.remove();
+  if (ok) return Promise.resolve();
+  if (navigator.clipboard?.writeText) return navigator.clipboard.writeText(text);
+  return Promise.reject(new Error("The clipboard is not available here."));
 }
 
-// ------------- Two-way bindings -------------
-let sheetChangeUnsub = null;
-let debounceTimer = null;
+/**
+ * In-pane confirmation (window.confirm is blocked in Office add-ins).
+ * Resolves true for OK, false for Cancel / Escape.
+ */
+function confirmInPane(message, { okText = "OK", cancelText = "Cancel", danger = false } = {}) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "pane-dialog-backdrop";
+    const dialog = document.createElement("div");
+    dialog.className = "pane-dialog";
+    dialog.setAttribute("role", "alertdialog");
+    dialog.setAttribute("aria-modal", "true");
+    const text = document.createElement("p");
+    text.textContent = message;
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const cancel = document.createElement("button");
+    cancel.className = "btn";
+    cancel.textContent = cancelText;
+    const ok = document.createElement("button");
+    ok.className = danger ? "btn danger" : "btn primary";
+    ok.textContent = okText;
+    actions.append(cancel, ok);
+    dialog.append(text, actions);
+    backdrop.appendChild(dialog);
 
-async function wireBindings(container) {
-  await refreshBoundControls(container);
-  container.querySelectorAll("[data-bind]").forEach((el) => {
-    const handler = async () => { try { await writeBinding(el); } catch (e) { console.error(e); } };
-    el.addEventListener("change", handler);
-    if (el.type === "text" || el.tagName === "TEXTAREA") el.addEventListener("blur", handler);
+    const close = (result) => {
+      document.removeEventListener("keydown", onKey);
+      backdrop.remove();
+      resolve(result);
+    };
+    const onKey = (e) => { if (e.key === "Escape") close(false); };
+    cancel.addEventListener("click", () => close(false));
+    ok.addEventListener("click", () => close(true));
+    document.addEventListener("keydown", onKey);
+    document.body.appendChild(backdrop);
+    cancel.focus();
   });
+}
 
-  try {
-    await Excel.run(async (ctx) => {
-      const ws = ctx.workbook.worksheets.getActiveWorksheet();
-      if (sheetChangeUnsub && sheetChangeUnsub.remove) {
-        sheetChangeUnsub.remove(); sheetChangeUnsub = null;
+/**
+ * Conflict picker: one block per field with the form value and the current cell
+ * value side by side. items: [{ label, mine, theirs, multi }]. Resolves to
+ * [{ choice: "mine"|"theirs"|"merge", merged }] in item order, or null on Cancel.
+ */
+function showConflictDialog(items) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "pane-dialog-backdrop";
+    const dialog = document.createElement("div");
+    dialog.className = "pane-dialog conflict-dialog";
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    const intro = document.createElement("p");
+    intro.textContent = items.length === 1
+      ? "This value changed in the workbook after the form loaded it."
+      : `${items.length} values changed in the workbook after the form loaded them.`;
+    dialog.appendChild(intro);
+
+    const rows = items.map((item, i) => {
+      const block = document.createElement("fieldset");
+      block.className = "conflict";
+      const legend = document.createElement("legend");
+      legend.textContent = item.label;
+      const compare = document.createElement("div");
+      compare.className = "conflict-compare";
+      for (const [title, value] of [["Your value", item.mine], ["Current value", item.theirs]]) {
+        const col = document.createElement("div");
+        const h = document.createElement("div");
+        h.className = "conflict-title";
+        h.textContent = title;
+        const pre = document.createElement("pre");
+        pre.textContent = value === "" ? "(empty)" : value;
+        col.append(h, pre);
+        compare.appendChild(col);
       }
-      if (ws.onChanged && ws.onChanged.add) {
-        sheetChangeUnsub = await ws.onChanged.add(async () => {
-          clearTimeout(debounceTimer);
-          debounceTimer = setTimeout(() => refreshBoundControls(container), 120);
-        });
+      const choices = document.createElement("div");
+      choices.className = "conflict-choices";
+      const merged = document.createElement(item.multi ? "p" : "textarea");
+      if (item.multi) merged.textContent = "Cells you edited keep your value; the rest take the current value.";
+      else { merged.value = item.mine; merged.rows = 2; }
+      merged.hidden = true;
+      for (const [value, text] of [["mine", "Keep mine"], ["theirs", "Take theirs"], ["merge", "Merge"]]) {
+        const label = document.createElement("label");
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `conflict-${i}`;
+        radio.value = value;
+        radio.checked = value === "mine";
+        radio.addEventListener("change", () => { merged.hidden = value !== "merge"; });
+        label.append(radio, ` ${text}`);
+        choices.appendChild(label);
       }
+      block.append(legend, compare, choices, merged);
+      dialog.appendChild(block);
+      return { block, merged };
     });
-  } catch (e) { console.warn("Worksheet.onChanged unavailable.", e); }
-}
 
-async function refreshBoundControls(container) {
-  const els = [...container.querySelectorAll("[data-bind]")];
-  if (els.length === 0) return;
-  await Excel.run(async (ctx) => {
-    const ws = ctx.workbook.worksheets.getActiveWorksheet();
-    const toLoad = [];
-    for (const el of els) {
-      const bind = (el.dataset.bind || "").trim();
-      if (!bind) continue;
-      const rng = await resolveRange(ctx, ws, bind);
-      if (!rng) continue;
-      rng.load("values"); toLoad.push({ el, rng });
-    }
-    await ctx.sync();
-    for (const { el, rng } of toLoad) {
-      const v = (rng.values && rng.values[0] && rng.values[0][0]) ?? "";
-      setElValueFromCell(el, v);
-    }
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const cancel = document.createElement("button");
+    cancel.className = "btn";
+    cancel.textContent = "Cancel save";
+    const ok = document.createElement("button");
+    ok.className = "btn primary";
+    ok.textContent = "Continue";
+    actions.append(cancel, ok);
+    dialog.appendChild(actions);
+    backdrop.appendChild(dialog);
+
+    const close = (result) => {
+      document.removeEventListener("keydown", onKey);
+      backdrop.remove();
+      resolve(result);
+    };
+    const onKey = (e) => { if (e.key === "Escape") close(null); };
+    cancel.addEventListener("click", () => close(null));
+    ok.addEventListener("click", () => close(rows.map(({ block, merged }) => ({
+      choice: block.querySelector("input[type=radio]:checked").value,
+      merged: merged.value
+    }))));
+    document.addEventListener("keydown", onKey);
+    document.body.appendChild(backdrop);
+    ok.focus();
   });
 }
 
-async function writeBinding(el) {
-  const bind = (el.dataset.bind || "").trim();
-  if (!bind) return;
-  await Excel.run(async (ctx) => {
-    const ws = ctx.workbook.worksheets.getActiveWorksheet();
-    const rng = await resolveRange(ctx, ws, bind);
-    if (!rng) return;
-    rng.values = [[getCellValueFromEl(el)]];
-    await ctx.sync();
-  });
+async function renderForm(formId, ctx) {
+  const app = document.getElementById("app");
+  if (!app) return;
+  const seq = ++renderSeq;
+  window.ErrorHandler?.setScope({ form: formId, sheet: ctx.sheetName || "" });
+  window.ErrorHandler?.breadcrumb("render", formId, ctx.params && Object.keys(ctx.params).length ? ctx.params : undefined);
+  if (!ctx.fromHistory) {
+    rememberActiveFormState();
+    pushHistory(formId, ctx);
+  }
+  await unmountActiveForm();
+  app.innerHTML = `<div class="loading">Loading ${formId}…</div>`;
+  const html = await fetchFormMarkup(formId);
+  if (seq !== renderSeq) return; // a newer render started while we were fetching
+
+  const scripts = mountFormMarkup(app, html);
+  invalidateBindCache(app); // the container outlives the form it showed
+  lastRenderedFormId = formId; // track current
+  const { context, cleanups, handlers } = createFormContext(formId, app, ctx);
+  activeForm = { id: formId, context, cleanups, handlers };
+
+  // A newer render may start during any await below; it has already unmounted this
+  // context, so stop before wiring anything into the markup it now owns
+  await runFormScripts(scripts);
+  if (seq !== renderSeq) return;
+  wireExpressions(app, context); // before the first refresh so cell() references load with it
+  await wireBindings(app, context);
+  if (seq !== renderSeq) return;
+  await wireRecordForms(app, context);
+  if (seq !== renderSeq) return;
+
+  activeForm.module = FormModules[formId] || null;
+  if (activeForm.module && activeForm.module.mount) {
+    try { await activeForm.module.mount(context); }
+    catch (e) { window.ErrorHandler?.handleError(e, `mount ${formId}`); }
+  }
+  if (seq !== renderSeq) return;
+  if (ctx.fromHistory) restoreFormState(app, formHistory.entries[formHistory.index]?.state);
+  updateHeaderState();
 }
 
-function setElValueFromCell(el, cellValue) {
-  const t = (el.dataset.type || "").toLowerCase();
-  if (el.type === "checkbox" || t === "boolean") {
-    const valStr = String(cellValue).toLowerCase();
-    el.checked = !!cellValue && valStr !== "false" && cellValue !== 0;
-  } else if (t === "number") {
-    el.value = (cellValue ?? "") === "" ? "" : Number(cellValue);
-  } else {
-    el.value = cellValue ?? "";
+// ---------- Pane header: pin, history, picker ----------
+
+/**
+ * The header above the form:
+ *   ◀ ▶       back/forward through forms shown in this session; each entry keeps
+ *             the form's unsaved state (dirty bound fields and edited unbound
+ *             inputs) and gets it back when revisited
+ *   picker    opens any registered form (HtmlMap, schema and generated forms)
+ *   badge     active sheet, plus "Pinned" or "Override" when routing isn't in charge
+ *   📌        pin: the form stays while the user moves around the workbook; it
+ *             still gets selectionchange/sheetchange events
+ * Forms opened from the picker or history are pinned, otherwise the next
+ * selection change would route away from them. Unpinning routes again.
+ */
+const HISTORY_LIMIT = 20;
+const formHistory = { entries: [], index: -1 }; // entry: { formId, routing, state }
+let pinned = false;
+let badgeSheet = "";
+
+function setupPaneHeader() {
+  const back = document.getElementById("navBack");
+  const forward = document.getElementById("navForward");
+  const pin = document.getElementById("pinToggle");
+  const picker = document.getElementById("formPicker");
+  if (back) back.addEventListener("click", () => navigateHistory(-1));
+  if (forward) forward.addEventListener("click", () => navigateHistory(1));
+  if (pin) pin.addEventListener("click", () => setPinned(!pinned));
+  if (picker) {
+    // Schema and generated forms come and go, so the list is rebuilt on open
+    picker.addEventListener("focus", () => fillFormPicker(picker));
+    picker.addEventListener("mousedown", () => fillFormPicker(picker));
+    picker.addEventListener("change", () => {
+      const id = picker.value;
+      picker.value = "";
+      if (id) openFormManually(id);
+    });
+    fillFormPicker(picker);
   }
+  updateHeaderState();
 }
 
-function getCellValueFromEl(el) {
-  const t = (el.dataset.type || "").toLowerCase();
-  if (el.type === "checkbox" || t === "boolean") return el.checked ? true : false;
-  if (t === "number") {
-    const n = Number(el.value);
-    return Number.isFinite(n) ? n : null;
+function fillFormPicker(picker) {
+  const ids = [...new Set([...Object.keys(HtmlMap), ...Object.keys(SchemaForms)])];
+  const label = (id) => SchemaForms[id]?.title || id;
+  ids.sort((a, b) => label(a).localeCompare(label(b)));
+  picker.replaceChildren(new Option("Open form…", ""), ...ids.map(id => new Option(label(id), id)));
+  picker.value = "";
+}
+
+async function setPinned(on) {
+  pinned = on;
+  window.ErrorHandler?.breadcrumb("route", pinned ? "pinned" : "unpinned");
+  updateHeaderState();
+  if (!pinned) {
+    try {
+      await renderForActiveWorksheet();
+      await manageSelectionSubscription();
+    } catch (e) { window.ErrorHandler?.handleError(e, "Unpin"); }
   }
-  return el.value ?? "";
 }
 
-async function resolveRange(ctx, ws, bind) {
-  const nm = ctx.workbook.names.getItemOrNullObject(bind);
-  nm.load("name"); await ctx.sync();
-  if (!nm.isNullObject) return nm.getRange();
-  try { return ws.getRange(bind); } catch { return null; }
+function updateHeaderState() {
+  const back = document.getElementById("navBack");
+  const forward = document.getElementById("navForward");
+  const pin = document.getElementById("pinToggle");
+  if (back) back.disabled = formHistory.index <= 0;
+  if (forward) forward.disabled = formHistory.index >= formHistory.entries.length - 1;
+  if (pin) {
+    pin.setAttribute("aria-pressed", String(pinned));
+    pin.classList.toggle("is-active", pinned);
+    pin.title = pinned ? "Unpin: follow the active sheet again" : "Pin this form";
+  }
+  updateSheetBadge(badgeSheet);
+}
+
+// Opens a form regardless of routing, for the current sheet and selection
+async function openFormManually(formId) {
+  try {
+    let routing = { sheetName: "", selectionAddress: "" };
+    if (typeof Excel !== "undefined") {
+      routing = await ExcelRunner.run(async (ctx) => {
+        const ws = ctx.workbook.worksheets.getActiveWorksheet();
+        ws.load("name");
+        const sel = ctx.workbook.getSelectedRange();
+        sel.load("address");
+        await ctx.sync();
+        return { sheetName: ws.name, selectionAddress: localizeAddress(sel.address) };
+      });
+    }
+    pinned = true;
+    window.ErrorHandler?.breadcrumb("route", `${routing.sheetName || "(no sheet)"} → ${formId}`, "opened by hand");
+    await renderForm(formId, { ...routing, hint: null, override: true });
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, `Open ${formId}`);
+  }
+}
+
+function pushHistory(formId, routing) {
+  const { entries } = formHistory;
+  entries.splice(formHistory.index + 1);
+  entries.push({ formId, routing: { ...routing }, state: null });
+  if (entries.length > HISTORY_LIMIT) entries.shift();
+  formHistory.index = entries.length - 1;
+}
+
+function rememberActiveFormState() {
+  const entry = formHistory.entries[formHistory.index];
+  const app = document.getElementById("app");
+  if (entry && app && activeForm && entry.formId === activeForm.id) entry.state = snapshotFormState(app);
+}
+
+async function navigateHistory(delta) {
+  const target = formHistory.index + delta;
+  const entry = formHistory.entries[target];
+  if (!entry) return;
+  rememberActiveFormState();
+  formHistory.index = target;
+  pinned = true;
+  try {
+    await renderForm(entry.formId, { ...entry.routing, fromHistory: true });
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, `Open ${entry.formId}`);
+  }
+}
+
+// ---------- Unsaved form state ----------
+
+// Record-form fields are written on change, so only bound drafts and unbound inputs are kept
+function stateControls(container) {
+  return [...container.querySelectorAll("input, select, textarea")]
+    .filter(el => !el.dataset.column && !el.dataset.compute && el.type !== "file" && el.type !== "button");
+}
+
+function controlStateKey(el, i) {
+  if (el.dataset.bind) return `bind:${bindOf(el)}`;
+  if (el.id) return `id:${el.id}`;
+  if (el.name) return `name:${el.name}${el.type === "radio" ? `=${el.value}` : ""}`;
+  return `#${i}`;
+}
+
+function isEditedControl(el) {
+  if (el.dataset.bind) return isDirty(el);
+  if (el.type === "checkbox" || el.type === "radio") return el.checked !== el.defaultChecked;
+  if (el.tagName === "SELECT") return [...el.options].some(o => o.selected !== o.defaultSelected);
+  return el.value !== el.defaultValue;
+}
+
+function snapshotFormState(container) {
+  return stateControls(container).flatMap((el, i) => {
+    if (!isEditedControl(el)) return [];
+    return [{
+      key: controlStateKey(el, i),
+      value: el.value,
+      checked: el.checked,
+      selected: el.tagName === "SELECT" ? [...el.options].map(o => o.selected) : null,
+      loaded: el.dataset.bind ? draftOf(el).loaded : undefined
+    }];
+  });
+}
+
+function restoreFormState(container, state) {
+  if (!state || !state.length) return;
+  const saved = new Map(state.map(s => [s.key, s]));
+  stateControls(container).forEach((el, i) => {
+    const s = saved.get(controlStateKey(el, i));
+    if (!s) return;
+    if (s.selected) [...el.options].forEach((o, j) => { o.selected = !!s.selected[j]; });
+    else if (el.type === "checkbox" || el.type === "radio") el.checked = s.checked;
+    else el.value = s.value;
+    if (el.dataset.bind) {
+      draftOf(el).loaded = s.loaded; // conflicts are still checked against the original values
+      setDirty(el, true);
+    }
+  });
+  updateDraftUi(container);
+  evaluateExpressions(container);
+}
+
+// ---------- Form lifecycle ----------
+
+/**
+ * Forms register lifecycle hooks from their own scripts:
+ *
+ *   registerForm("colorPalette", {
+ *     mount(context)   { ... },  // markup is in the DOM and bindings are wired
+ *     unmount(context) { ... }   // runs before another form replaces this one
+ *   });
+ *
+ * The mount context tears down whatever is registered through it on unmount:
+ *   context.listen(target, type, fn, opts)  DOM listener
+ *   context.trackExcelHandler(result)       result of an Excel `onX.add(...)`
+ *   context.onCleanup(fn)                   anything else
+ * After unmount context.disposed is true, and anything registered late is torn
+ * down immediately.
+ *
+ * It also says where the form was opened and follows the user while it stays up:
+ *   context.sheetName     active sheet name
+ *   context.selection     selected address on that sheet, e.g. "B3:C4"
+ *   context.hint          form id from the sheet's form:<id> hint, or null
+ *   context.params        hint parameters ({} when there are none)
+ *   context.override      true when a selection route or command picked the form
+ *   context.on(type, fn)  form events; returns a function that unsubscribes
+ *     "selectionchange"   { sheetName, selection } the selection moved and the
+ *                         routing kept this form
+ *     "sheetchange"       { sheetName, previous, selection } another sheet was
+ *                         activated and the routing kept this form
+ * Events update the context fields before handlers run; a selection listener
+ * keeps selection tracking on even when the sheet has no selection routes.
+ *
+ * External <script src> tags run once per session (their top-level declarations
+ * would collide on a second load); inline scripts run on every render.
+ */
+const FormModules = {};
+const loadedFormScripts = new Set();
+let activeForm = null; // { id, module, context, cleanups, handlers }
+let renderSeq = 0;
+
+function registerForm(formId, hooks) {
+  FormModules[formId] = hooks || {};
+}
+
+const FORM_EVENTS = ["selectionchange", "sheetchange"];
+
+function createFormContext(formId, root, routing = {}) {
+  const cleanups = [];
+  const handlers = new Map(FORM_EVENTS.map(type => [type, new Set()]));
+  // Once unmounted, late registrations (from awaits that outlived the form) are undone at once
+  const addCleanup = (fn) => {
+    if (!context.disposed) { cleanups.push(fn); return; }
+    Promise.resolve().then(fn).catch(e => window.ErrorHandler?.warn(e, "Form cleanup"));
+  };
+  const context = {
+    formId,
+    disposed: false,
+    root,
+    sheetName: routing.sheetName || "",
+    selection: routing.selectionAddress || "",
+    hint: routing.hint || null,
+    params: { ...(routing.params || {}) },
+    override: !!routing.override,
+    on(type, fn) {
+      const set = handlers.get(type);
+      if (!set) throw new Error(`Unknown form event "${type}" (expected ${FORM_EVENTS.join(" or ")})`);
+      const off = () => set.delete(fn);
+      if (context.disposed) return off;
+      set.add(fn);
+      if (type === "selectionchange") manageSelectionSubscription();
+      cleanups.push(off);
+      return off;
+    },
+    listen(target, type, fn, opts) {
+      if (context.disposed) return;
+      target.addEventListener(type, fn, opts);
+      cleanups.push(() => target.removeEventListener(type, fn, opts));
+    },
+    trackExcelHandler(result) {
+      if (result) addCleanup(() => removeExcelHandler(result));
+      return result;
+    },
+    onCleanup(fn) { addCleanup(fn); }
+  };
+  return { context, cleanups, handlers };
+}
+
+async function emitSheetChange(sheetName, selection) {
+  if (!activeForm || activeForm.context.sheetName === sheetName) return;
+  await emitFormEvent("sheetchange", { sheetName, previous: activeForm.context.sheetName, selection });
+}
+
+function formWantsSelection() {
+  return !!activeForm && activeForm.handlers.get("selectionchange").size > 0;
+}
+
+// Updates the active form's context, then runs its handlers for `type`
+async function emitFormEvent(type, detail) {
+  const form = activeForm;
+  if (!form) return;
+  if (detail.sheetName !== undefined) form.context.sheetName = detail.sheetName;
+  if (detail.selection !== undefined) form.context.selection = detail.selection;
+  for (const fn of [...form.handlers.get(type)]) {
+    try { await fn(detail); }
+    catch (e) { window.ErrorHandler?.handleError(e, `${type} ${form.id}`); }
+  }
+}
+
+async function refreshActiveFormBindings() {
+  const app = document.getElementById("app");
+  if (!app || !activeForm) return;
+  try {
+    invalidateBindCache(app);
+    await refreshBoundControls(app);
+  } catch (e) { window.ErrorHandler?.warn(e, "Refreshing bindings"); }
+}
+
+async function unmountActiveForm() {
+  const form = activeForm;
+  if (!form) return;
+  activeForm = null;
+  form.context.disposed = true;
+  if (form.module && form.module.unmount) {
+    try { await form.module.unmount(form.context); }
+    catch (e) { window.ErrorHandler?.warn(e, `unmount ${form.id}`); }
+  }
+  for (const fn of form.cleanups.splice(0).reverse()) {
+    try { await fn(); } catch (e) { window.ErrorHandler?.warn(e, "Form cleanup"); }
+  }
+}
+
+async function removeExcelHandler(result) {
+  if (!result || !result.remove) return;
+  try {
+    await Excel.run(result.context, async (ctx) => {
+      result.remove();
+      await ctx.sync();
+    });
+  } catch (e) { window.ErrorHandler?.warn(e, "Removing Excel event handler"); }
+}
+
+// Parse form HTML into the container; returns the (detached) <script> elements
+function mountFormMarkup(container, html) {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  const scripts = [...tpl.content.querySelectorAll("script")];
+  scripts.forEach((s) => s.remove());
+  container.replaceChildren(tpl.content);
+  return scripts;
+}
+
+async function runFormScripts(scripts) {
+  for (const s of scripts) {
+    const src = s.getAttribute("src");
+    if (src) {
+      const abs = new URL(src, document.baseURI).href;
+      if (loadedFormScripts.has(abs)) continue;
+      await loadScript(abs);
+      loadedFormScripts.add(abs);
+    } else {
+      const el = document.createElement("script");
+      el.textContent = s.textContent;
+      document.head.appendChild(el);
+      el.remove();
+    }
+  }
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const el = document.createElement("script");
+    el.src = src;
+    el.onload = () => resolve();
+    el.onerror = () => reject(new Error(`Failed to load form script ${src}`));
+    document.head.appendChild(el);
+  });
+}
+
+// ------------- Two-way bindings -------------
+let debounceTimer = null;
+
+async function wireBindings(container, formContext) {
+  await populateOptions(container, formContext); // selects need their options before values land
+  await refreshBoundControls(container);
+  const mode = formSaveMode(container);
+  container.querySelectorAll("[data-bind]").forEach((el) => {
+    const markDirty = () => { setDirty(el, true); updateDraftUi(container); };
+    el.addEventListener("input", markDirty);
+    el.addEventListener("change", markDirty);
+    if (mode === "auto") {
+      const handler = async () => {
+        if (!isDirty(el)) return;
+        try { await writeBinding(el); } catch (e) { window.ErrorHandler?.handleError(e, "Save"); }
+      };
+      el.addEventListener("change", handler);
+      if (el.type === "text" || el.tagName === "TEXTAREA") el.addEventListener("blur", handler);
+    }
+    // Clear a shown message as soon as the user fixes the value
+    el.addEventListener("input", () => { if (el.classList.contains("is-invalid")) checkControl(el); });
+  });
+
+  formContext.listen(container, "click", (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn || !container.contains(btn)) return;
+    if (btn.dataset.action === "save") saveForm(container);
+    else if (btn.dataset.action === "cancel") revertForm(container);
+  });
+  updateDraftUi(container);
+
+  // Changes arriving within the debounce window are refreshed together
+  let pending = [];
+  const onChanged = async (event) => {
+    pending.push({ worksheetId: event.worksheetId, address: event.address, changeType: event.changeType });
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const changes = pending;
+      pending = [];
+      const structural = changes.some(c => STRUCTURAL_CHANGES.includes(c.changeType) || !c.address);
+      if (structural) invalidateBindCache(container);
+      refreshBoundControls(container, structural ? undefined : changes)
+        .catch(e => window.ErrorHandler?.warn(e, "Refresh bound controls"));
+    }, 120);
+  };
+
+  try {
+    await ExcelRunner.run(async (ctx) => {
+      // Every sheet when the host can (binds may be sheet-qualified), else the active one
+      const sheets = ctx.workbook.worksheets;
+      const ws = sheets.getActiveWorksheet();
+      const source = sheets.onChanged && sheets.onChanged.add ? sheets : ws;
+      if (source.onChanged && source.onChanged.add) {
+        formContext.trackExcelHandler(await source.onChanged.add(onChanged));
+        formContext.onCleanup(() => clearTimeout(debounceTimer));
+      }
+    }, { retries: 0 });
+  } catch (e) { window.ErrorHandler?.warn(e, "Worksheet.onChanged unavailable"); }
+}
+
+// Loads workbook values into bound controls. Controls being typed in or holding a
+// draft are left alone. `changes` (from Worksheet.onChanged) limits the refresh to
+// controls whose ranges intersect a changed address; without it every control reloads.
+async function refreshBoundControls(container, changes = null) {
+  const els = [...container.querySelectorAll("[data-bind]")].filter(el => !isDirty(el) && !hasFocusWithin(el));
+  const refs = expressionCellRefs(container);
+  if (els.length === 0 && refs.length === 0) return;
+  await ExcelRunner.run(async (ctx) => {
+    const ws = ctx.workbook.worksheets.getActiveWorksheet();
+    ws.load("id");
+    await ensureDateSystem(ctx);
+    await ensureNumberSeparators(ctx);
+    const cache = await validBindCache(ctx, container, ws);
+
+    const missing = [...new Set([...els.map(bindOf), ...refs].filter(b => b && !cache.entries.has(b)))];
+    if (missing.length) await resolveBindEntries(ctx, ws, cache, missing);
+
+    const affected = (entry) => !changes || changes.some(c => c.worksheetId === entry.sheetId && intersectsAddress(entry.local, c.address));
+    const rangeOf = (entry) => ctx.workbook.worksheets.getItem(entry.sheetId).getRange(entry.local);
+    const toLoad = [];
+    for (const el of els) {
+      const entry = cache.entries.get(bindOf(el));
+      if (!entry || !affected(entry)) continue;
+      const rng = rangeOf(entry);
+      rng.load(["values", "text"]); toLoad.push({ el, rng });
+    }
+    // cell("…") references in data-show-if / data-enable-if / data-compute
+    const refLoads = [];
+    for (const ref of refs) {
+      const entry = cache.entries.get(ref);
+      if (!entry || !affected(entry)) continue;
+      const rng = rangeOf(entry);
+      rng.load("values"); refLoads.push({ ref, rng });
+    }
+    if (!toLoad.length && !refLoads.length) return;
+    await ctx.sync();
+    for (const { el, rng } of toLoad) {
+      if (isDirty(el) || hasFocusWithin(el)) continue; // edited while the values were loading
+      setElFromRange(el, rng.values, rng.text);
+    }
+    setExpressionCells(container, refLoads.map(({ ref, rng }) => ({ ref, values: rng.values })));
+    evaluateExpressions(container);
+  });
+}
+
+// Shows range values in the control and makes them its draft baseline
+function setElFromRange(el, values, text) {
+  draftOf(el).loaded = values;
+  if (isMultiCell(values)) { setElValuesFromRange(el, values); return; }
+  const v = (values && values[0] && values[0][0]) ?? "";
+  setElValueFromCell(el, v, { text: text?.[0]?.[0] });
+}
+
+function bindOf(el) {
+  return (el.dataset.bind || "").trim();
+}
+
+function hasFocusWithin(el) {
+  const active = document.activeElement;
+  return !!active && (active === el || el.contains(active));
+}
+
+// ------------- Bind address cache -------------
+
+/**
+ * Per form: where each bind points, so a refresh is one sync instead of one per
+ * control. entries: bind → { sheetId, local, name, definition } where local is
+ * the A1 address on sheet sheetId; name/definition are set for named ranges
+ * (definition is the name's value, e.g. "Settings!$B$3").
+ * The cache is dropped when the active sheet changes (unqualified binds follow
+ * it), when rows/columns/cells are inserted or deleted (addresses shift) and
+ * when a bound name now resolves to a different definition.
+ */
+const bindCaches = new WeakMap(); // container → { sheetId, entries }
+const STRUCTURAL_CHANGES = ["RowInserted", "RowDeleted", "ColumnInserted", "ColumnDeleted", "CellInserted", "CellDeleted"];
+
+function invalidateBindCache(container) {
+  bindCaches.delete(container);
+}
+
+// Syncs ws.id (queued by the caller) and returns a cache that is safe to use
+async function validBindCache(ctx, container, ws) {
+  await ctx.sync();
+  let cache = bindCaches.get(container);
+  let stale = !cache || cache.sheetId !== ws.id;
+  if (!stale) {
+    const checks = [...cache.entries.entries()]
+      .filter(([, e]) => e.name)
+      .map(([bind, e]) => ({ e, item: queueNameLookup(ctx, ws, bind) }));
+    if (checks.length) {
+      try {
+        await ctx.sync();
+        stale = checks.some(({ e, item }) => namedItemValue(item) !== e.definition);
+      } catch {
+        stale = true; // e.g. a qualifying sheet was deleted
+      }
+    }
+  }
+  if (stale) {
+    cache = { sheetId: ws.id, entries: new Map() };
+    bindCaches.set(container, cache);
+  }
+  return cache;
+}
+
+// Same precedence as findNamedItem, queued without syncing: { scoped, global }
+function queueNameLookup(ctx, ws, bind) {
+  const { sheet: sheetName, local } = splitSheetPrefix(bind);
+  const sheet = sheetName ? ctx.workbook.worksheets.getItem(sheetName) : ws;
+  const scoped = sheet.names.getItemOrNullObject(local);
+  scoped.load("value");
+  let global = null;
+  if (!sheetName) {
+    global = ctx.workbook.names.getItemOrNullObject(local);
+    global.load("value");
+  }
+  return { scoped, global };
+}
+
+function namedItemValue({ scoped, global }) {
+  if (!scoped.isNullObject) return String(scoped.value);
+  if (global && !global.isNullObject) return String(global.value);
+  return null;
+}
+
+async function resolveBindEntries(ctx, ws, cache, binds) {
+  const resolved = [];
+  for (const bind of binds) {
+    const out = {};
+    const rng = await resolveRange(ctx, ws, bind, out);
+    if (!rng) continue;
+    rng.load("address");
+    rng.worksheet.load("id");
+    if (out.named) out.named.load("value");
+    resolved.push({ bind, rng, named: out.named });
+  }
+  await ctx.sync();
+  for (const { bind, rng, named } of resolved) {
+    cache.entries.set(bind, {
+      sheetId: rng.worksheet.id,
+      local: localizeAddress(rng.address),
+      name: named ? bind : null,
+      definition: named ? String(named.value) : null
+    });
+  }
+}
+
+// meta.text: the cell's formatted text (used by data-type="currency")
+function setElValueFromCell(el, cellValue, meta = {}) {
+  const t = (el.dataset.type || "").toLowerCase();
+  if (el.multiple || t === "list") {
+    const picked = String(cellValue ?? "").split(listDelimiter(el).trim()).map(v => v.trim()).filter(Boolean);
+    if (el.options) [...el.options].forEach(o => { o.selected = picked.includes(o.value); });
+    else el.value = picked.join(listDelimiter(el));
+  } else if (el.type === "checkbox" || t === "boolean") {
+    const valStr = String(cellValue).toLowerCase();
+    el.checked = !!cellValue && valStr !== "false" && cellValue !== 0;
+  } else if (t === "number") {
+    el.value = (cellValue ?? "") === "" ? "" : Number(cellValue);
+  } else if (t === "date" || t === "datetime") {
+    el.value = cellToIsoText(cellValue, t === "datetime");
+  } else if (t === "percent") {
+    el.value = (cellValue ?? "") === "" ? "" : +(Number(cellValue) * 100).toPrecision(12);
+  } else if (t === "currency") {
+    el.value = meta.text !== undefined && meta.text !== null ? meta.text : (cellValue ?? "");
+  } else {
+    el.value = cellValue ?? "";
+  }
+}
+
+function getCellValueFromEl(el) {
+  const t = (el.dataset.type || "").toLowerCase();
+  if (el.multiple || t === "list") {
+    const picked = el.selectedOptions ? [...el.selectedOptions].map(o => o.value) : String(el.value || "").split(listDelimiter(el).trim());
+    return picked.map(v => v.trim()).filter(Boolean).join(listDelimiter(el));
+  }
+  if (el.type === "checkbox" || t === "boolean") return el.checked ? true : false;
+  if (t === "number") {
+    if (String(el.value ?? "").trim() === "") return ""; // clear the cell rather than write 0
+    const n = Number(el.value);
+    return Number.isFinite(n) ? n : null; // unreachable once validateControl has passed
+  }
+  if (t === "date" || t === "datetime") {
+    if (String(el.value ?? "").trim() === "") return "";
+    const d = parseIsoText(el.value);
+    return d ? dateToSerial(d, !!workbookDate1904) : null;
+  }
+  if (t === "percent" || t === "currency") {
+    const n = parseLooseNumber(String(el.value ?? "").replace("%", ""));
+    if (n === "") return "";
+    if (!Number.isFinite(n)) return null;
+    return t === "percent" ? +(n / 100).toPrecision(15) : n;
+  }
+  return el.value ?? "";
+}
+
+// ------------- Drafts & saving -------------
+
+/**
+ * Bound controls keep a draft: editing marks a control dirty (.is-dirty) and the
+ * workbook values it was loaded from are remembered. A form chooses when drafts
+ * are written with data-save-mode on any element inside it:
+ *   auto (default)  a control is written as soon as it changes
+ *   explicit        nothing is written until a data-action="save" button is used;
+ *                   data-action="cancel" reverts every control to the workbook
+ * A save writes all dirty controls in one batch. When any control is invalid or
+ * any target can't be resolved, nothing is written; when the write itself fails,
+ * the previous cell contents are put back.
+ */
+const bindDrafts = new WeakMap(); // el → { loaded: 2D values, dirty }
+
+function draftOf(el) {
+  let d = bindDrafts.get(el);
+  if (!d) { d = { loaded: null, dirty: false }; bindDrafts.set(el, d); }
+  return d;
+}
+
+function isDirty(el) {
+  return !!bindDrafts.get(el)?.dirty;
+}
+
+function setDirty(el, dirty) {
+  draftOf(el).dirty = dirty;
+  el.classList.toggle("is-dirty", dirty);
+}
+
+function formSaveMode(container) {
+  const host = container.querySelector("[data-save-mode]");
+  return host && host.dataset.saveMode === "explicit" ? "explicit" : "auto";
+}
+
+function dirtyControls(container) {
+  return [...container.querySelectorAll("[data-bind]")].filter(isDirty);
+}
+
+function updateDraftUi(container) {
+  const clean = dirtyControls(container).length === 0;
+  container.querySelectorAll('[data-action="save"], [data-action="cancel"]').forEach((btn) => { btn.disabled = clean; });
+}
+
+async function saveForm(container) {
+  const els = dirtyControls(container);
+  if (!els.length) return true;
+  let ok = false;
+  try {
+    ok = await writeBindings(els);
+    if (ok) window.ErrorHandler?.notify("Saved.", { type: "success" });
+  } catch (e) {
+    window.ErrorHandler?.handleError(e, "Save");
+  }
+  updateDraftUi(container);
+  return ok;
+}
+
+async function revertForm(container) {
+  dirtyControls(container).forEach((el) => { setDirty(el, false); showValidation(el, null); });
+  await refreshBoundControls(container);
+  updateDraftUi(container);
+}
+
+async function writeBinding(el) {
+  return writeBindings([el]);
+}
+
+// Writes every control in one batch; true when written, false when blocked before writing
+// (invalid input, unresolvable bind, or a cancelled conflict dialog)
+async function writeBindings(els) {
+  const valid = await Promise.all(els.map(checkControl));
+  if (valid.includes(false)) {
+    window.ErrorHandler?.notify("Nothing saved: fix the highlighted fields first.", { type: "error" });
+    return false;
+  }
+
+  window.ErrorHandler?.breadcrumb("excel", "write", els.map(bindOf).join(", "));
+  // Read and settle conflicts in one run, write in another: the conflict dialog must
+  // not sit inside a run that ExcelRunner may repeat, and the write is not retried
+  let targets = await ExcelRunner.run(async (ctx) => {
+    const ws = ctx.workbook.worksheets.getActiveWorksheet();
+    const found = [];
+    for (const el of els) {
+      const bind = (el.dataset.bind || "").trim();
+      const rng = bind ? await resolveRange(ctx, ws, bind) : null;
+      if (!rng) {
+        window.ErrorHandler?.notify(`Nothing saved: "${bind}" could not be found.`, { type: "error" });
+        return null;
+      }
+      rng.load(["address", "values", "text"]);
+      found.push({ el, rng });
+    }
+    await ctx.sync();
+    return found.map(({ el, rng }) => ({ el, address: rng.address, values: rng.values, text: rng.text }));
+  });
+  if (!targets) return false;
+
+  const conflicts = findConflicts(targets);
+  if (conflicts.length) {
+    targets = await settleConflicts(targets, conflicts);
+    if (!targets) return false;
+  }
+  if (!targets.length) return true;
+
+  return await ExcelRunner.run(async (ctx) => {
+    await ensureDateSystem(ctx);
+    await ensureNumberSeparators(ctx);
+    for (const t of targets) {
+      const { sheet, local } = splitSheetPrefix(t.address);
+      t.rng = ctx.workbook.worksheets.getItem(sheet).getRange(local);
+      t.rng.load(["address", "rowCount", "columnCount", "numberFormat", "formulas", "values"]);
+    }
+    await ctx.sync();
+    const moved = targets.find(t => !sameValues(t.values, t.rng.values));
+    if (moved) throw new Error(`${controlLabel(moved.el)} changed while saving. Save again to review the change.`);
+
+    for (const t of targets) {
+      t.before = { formulas: t.rng.formulas, numberFormat: t.rng.numberFormat };
+      applyControlValue(t.rng, t.el);
+      t.rng.load("values"); // read back what Excel stored (it coerces text like "12")
+    }
+    try {
+      await ctx.sync();
+    } catch (e) {
+      // A busy or edit-mode Excel rejected the whole batch, and would reject a restore too
+      if (!ExcelRunner.classify(e).retryable) {
+        for (const t of targets) {
+          t.rng.formulas = t.before.formulas;
+          t.rng.numberFormat = t.before.numberFormat;
+        }
+        try { await ctx.sync(); } catch (inner) { window.ErrorHandler?.error(inner, "Restoring cells after a failed save"); }
+      }
+      throw e;
+    }
+
+    for (const t of targets) {
+      draftOf(t.el).loaded = t.rng.values;
+      setDirty(t.el, false);
+    }
+    await tryAppendAudit(ctx, targets.map(t => ({
+      target: t.el.dataset.bind.trim(), address: t.rng.address, before: t.before.formulas, after: t.rng.values
+    })));
+    return true;
+  }, { retries: 0 });
+}
+
+// ------------- Edit conflicts -------------
+
+/**
+ * Optimistic concurrency for saves: each bound control remembers the values it
+ * was loaded from (its draft). When the cell no longer holds them at save time
+ * (co-author, recalculation, macro), the user picks per field:
+ *   mine    write the form value over the new cell value
+ *   theirs  drop the edit and show the current cell value
+ *   merge   single cell: edit a combined value; multi-cell: cells changed in the
+ *           form keep the form value, all other cells take the current value
+ */
+function sameValues(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function findConflicts(targets) {
+  return targets.filter((t) => {
+    const loaded = draftOf(t.el).loaded;
+    return loaded && !sameValues(loaded, t.values);
+  });
+}
+
+function controlLabel(el) {
+  const label = el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+  const text = (label || el.closest(".row")?.querySelector("label"))?.textContent;
+  return (text || el.dataset.bind || el.dataset.column || "Field").trim();
+}
+
+function rangeText(el, values, text) {
+  if (isMultiCell(values)) return (text || values).map(r => r.join("\t")).join("\n");
+  return String(text?.[0]?.[0] ?? values?.[0]?.[0] ?? "");
+}
+
+function controlText(el) {
+  if (el.tagName === "TABLE") {
+    return [...el.querySelectorAll("tr")].map(tr => [...tr.querySelectorAll("input")].map(i => i.value).join("\t")).join("\n");
+  }
+  if (el.type === "checkbox") return el.checked ? "TRUE" : "FALSE";
+  if (el.multiple) return [...el.selectedOptions].map(o => o.value).join(listDelimiter(el));
+  return String(el.value ?? "");
+}
+
+/**
+ * Asks how to settle each conflict and applies the answer to the control.
+ * Returns the targets that should still be written, or null when the user
+ * cancelled or a merged value is invalid (nothing gets written then).
+ */
+async function settleConflicts(targets, conflicts) {
+  const answers = await showConflictDialog(conflicts.map(t => ({
+    label: controlLabel(t.el),
+    mine: controlText(t.el),
+    theirs: rangeText(t.el, t.values, t.text),
+    multi: isMultiCell(t.values)
+  })));
+  if (!answers) return null;
+
+  const keep = new Set(targets);
+  for (const [i, t] of conflicts.entries()) {
+    const { choice, merged } = answers[i];
+    if (choice === "theirs") {
+      setElFromRange(t.el, t.values, t.text);
+      setDirty(t.el, false);
+      showValidation(t.el, null);
+      keep.delete(t);
+    } else if (choice === "merge") {
+      if (isMultiCell(t.values)) {
+        const rows = t.values.length, cols = t.values[0].length;
+        const mine = getRangeValuesFromEl(t.el, rows, cols);
+        const base = draftOf(t.el).loaded;
+        setElValuesFromRange(t.el, mine.map((row, r) => row.map((v, c) =>
+          String(v) !== String(base[r]?.[c] ?? "") ? v : t.values[r][c])));
+      } else {
+        t.el.value = merged;
+      }
+      if (!(await checkControl(t.el))) return null;
+    }
+    // "mine": write the form value as it is
+  }
+  return targets.filter(t => keep.has(t));
+}
+
+// ------------- Value conversion -------------
+
+/**
+ * data-type on bound controls:
+ *   string (default), number, boolean
+ *   date / datetime  Excel serial ↔ "YYYY-MM-DD" / "YYYY-MM-DDTHH:mm" (fits
+ *                    <input type="date"> / "datetime-local"); honours the
+ *                    workbook's 1900 or 1904 date system
+ *   percent          cell 0.125 ↔ control 12.5
+ *   currency         control shows the cell's formatted text; accepts input
+ *                    like "$1,234.50" or "(12.00)" using Excel's decimal and
+ *                    group separators, and rejects any other characters
+ *   list             <select multiple> ↔ delimited text (data-delimiter, default ", ")
+ * data-format sets the number format written with the value; without it, date,
+ * percent and currency values get a default format while the cell is "General".
+ *
+ * A control bound to a multi-cell range reads and writes a 2D array: a <table>
+ * renders a grid of inputs, a textarea holds tab-separated lines.
+ */
+const DEFAULT_FORMATS = {
+  date: "yyyy-mm-dd",
+  datetime: "yyyy-mm-dd hh:mm",
+  percent: "0.00%",
+  currency: "#,##0.00"
+};
+const MS_PER_DAY = 86400000;
+let workbookDate1904 = null; // loaded once per session by ensureDateSystem
+
+async function ensureDateSystem(ctx) {
+  if (workbookDate1904 !== null) return workbookDate1904;
+  try {
+    ctx.workbook.load("use1904DateSystem");
+    await ctx.sync();
+    workbookDate1904 = !!ctx.workbook.use1904DateSystem;
+  } catch {
+    workbookDate1904 = false; // property needs a newer ExcelApi; 1900 is the default
+  }
+  return workbookDate1904;
+}
+
+// Dates are wall-clock values; they are kept in UTC fields so time zones never shift them
+function serialToDate(serial, date1904) {
+  if (date1904) return new Date(Date.UTC(1904, 0, 1) + serial * MS_PER_DAY);
+  // 1900 system counts the non-existent 1900-02-29 as serial 60
+  const base = serial < 60 ? Date.UTC(1899, 11, 31) : Date.UTC(1899, 11, 30);
+  return new Date(base + serial * MS_PER_DAY);
+}
+
+function dateToSerial(date, date1904) {
+  const ms = date.getTime();
+  if (date1904) return (ms - Date.UTC(1904, 0, 1)) / MS_PER_DAY;
+  const serial = (ms - Date.UTC(1899, 11, 30)) / MS_PER_DAY;
+  return serial < 61 ? serial - 1 : serial;
+}
+
+function cellToIsoText(cellValue, withTime) {
+  if (cellValue === "" || cellValue === null || cellValue === undefined) return "";
+  let d = null;
+  if (typeof cellValue === "number") d = serialToDate(cellValue, workbookDate1904);
+  else d = parseIsoText(String(cellValue));
+  if (!d || Number.isNaN(d.getTime())) return String(cellValue);
+  const iso = new Date(Math.round(d.getTime() / 60000) * 60000).toISOString(); // whole minutes
+  return withTime ? iso.slice(0, 16) : iso.slice(0, 10);
+}
+
+// "2024-03-05" / "2024-03-05T14:30" → Date in UTC fields, or null
+function parseIsoText(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(text).trim());
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)));
+  return d.getUTCMonth() === +m[2] - 1 ? d : null; // rejects 2024-02-31
+}
+
+const CURRENCY_SYMBOLS = /[$€£¥₹₩₽¢]|\b(?:USD|EUR|GBP|JPY|CHF|CAD|AUD)\b/g;
+let numberSeparators = null; // { decimal, group }, loaded once per session by ensureNumberSeparators
+
+// Separators Excel uses in formatted cell text, so currency text reads back as it was shown
+async function ensureNumberSeparators(ctx) {
+  if (numberSeparators) return numberSeparators;
+  try {
+    const nf = ctx.application.cultureInfo.numberFormat;
+    nf.load("numberDecimalSeparator,numberGroupSeparator");
+    await ctx.sync();
+    numberSeparators = { decimal: nf.numberDecimalSeparator, group: nf.numberGroupSeparator };
+  } catch {
+    numberSeparators = browserNumberSeparators(); // cultureInfo needs ExcelApi 1.11
+  }
+  return numberSeparators;
+}
+
+function browserNumberSeparators() {
+  const parts = new Intl.NumberFormat().formatToParts(12345.6);
+  return {
+    decimal: parts.find(p => p.type === "decimal")?.value || ".",
+    group: parts.find(p => p.type === "group")?.value || ","
+  };
+}
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "$1,234.50" → 1234.5, "(12.00)" → -12, "1.234,50 €" → 1234.5 in a comma-decimal
+// locale, "" → "". Only currency symbols and the locale's separators are allowed
+// around the digits; anything else ("12abc", "1-2", "1e3") → NaN
+function parseLooseNumber(text) {
+  let t = String(text ?? "").replace(CURRENCY_SYMBOLS, "").trim();
+  if (!t) return String(text ?? "").trim() ? NaN : "";
+  const { decimal, group } = numberSeparators || browserNumberSeparators();
+  let negative = false;
+  if (/^\(.*\)$/.test(t)) {
+    negative = true;
+    t = t.slice(1, -1).trim();
+  }
+  if (/^[-\u2212]/.test(t)) {
+    negative = !negative;
+    t = t.slice(1).trim();
+  }
+  // a space-like group separator (fr-FR uses U+202F) may come back as any space
+  const g = /^\s$/.test(group) ? "\\s" : escapeRegExp(group);
+  const d = escapeRegExp(decimal);
+  const plain = new RegExp(`^(?:\\d+(?:${d}\\d*)?|${d}\\d+)$`);
+  const grouped = new RegExp(`^\\d{1,3}(?:${g}\\d{3})+(?:${d}\\d*)?$`);
+  if (!plain.test(t) && !grouped.test(t)) return NaN;
+  const n = Number(t.replace(new RegExp(g, "g"), "").replace(decimal, "."));
+  return negative ? -n : n;
+}
+
+function listDelimiter(el) {
+  return el.dataset.delimiter || ", ";
+}
+
+function isMultiCell(values) {
+  return !!values && (values.length > 1 || (values[0] && values[0].length > 1));
+}
+
+// Number format to write with the value, or null to leave the cell's format alone
+function numberFormatFor(el, currentFormat) {
+  if (el.dataset.format) return el.dataset.format;
+  const t = (el.dataset.type || "").toLowerCase();
+  const isGeneral = !currentFormat || String(currentFormat).toLowerCase() === "general";
+  return isGeneral && DEFAULT_FORMATS[t] ? DEFAULT_FORMATS[t] : null;
+}
+
+// Queue the control's value (and number format) onto a range loaded with rowCount/columnCount/numberFormat
+function applyControlValue(rng, el) {
+  const rows = rng.rowCount || 1;
+  const cols = rng.columnCount || 1;
+  const fmt = numberFormatFor(el, rng.numberFormat?.[0]?.[0]);
+  if (rows * cols > 1) {
+    rng.values = getRangeValuesFromEl(el, rows, cols);
+    if (fmt) rng.numberFormat = Array.from({ length: rows }, () => Array(cols).fill(fmt));
+  } else {
+    rng.values = [[getCellValueFromEl(el)]];
+    if (fmt) rng.numberFormat = [[fmt]];
+  }
+}
+
+function setElValuesFromRange(el, values) {
+  if (el.tagName === "TABLE") { renderBindGrid(el, values); return; }
+  el.value = values.map(r => r.map(v => String(v ?? "")).join("\t")).join("\n");
+}
+
+// Reads a grid/textarea back as a rows × cols array; missing cells become "", extras are dropped
+function getRangeValuesFromEl(el, rows, cols) {
+  let src;
+  if (el.tagName === "TABLE") {
+    src = [...el.querySelectorAll("tr")].map(tr => [...tr.querySelectorAll("input")].map(i => i.value));
+  } else {
+    src = String(el.value ?? "").replace(/\r/g, "").split("\n").map(line => line.split("\t"));
+  }
+  return Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => (src[r] && src[r][c] !== undefined ? src[r][c] : ""))
+  );
+}
+
+function renderBindGrid(table, values) {
+  const rows = values.length;
+  const cols = values[0] ? values[0].length : 0;
+  let body = table.tBodies[0];
+  const sameShape = body && body.rows.length === rows && [...body.rows].every(tr => tr.cells.length === cols);
+  if (!sameShape) {
+    if (body) body.remove();
+    body = table.createTBody();
+    for (let r = 0; r < rows; r++) {
+      const tr = body.insertRow();
+      for (let c = 0; c < cols; c++) {
+        const input = document.createElement("input");
+        input.setAttribute("aria-label", `Row ${r + 1}, column ${c + 1}`);
+        tr.insertCell().appendChild(input);
+      }
+    }
+  }
+  [...body.rows].forEach((tr, r) => {
+    [...tr.cells].forEach((td, c) => {
+      const input = td.querySelector("input");
+      if (input && document.activeElement !== input) input.value = String(values[r][c] ?? "");
+    });
+  });
+}
+
+// ------------- Option lists -------------
+
+/**
+ * <select> and <datalist> options from the workbook:
+ *   data-options-from="Departments"         named range (sheet scope first)
+ *   data-options-from="Lists!A2:A20"        A1 reference
+ *   data-options-from="Staff[Department]"   table column (data rows only)
+ * A bound <select> without data-options-from takes its options from the bound
+ * cell's list validation, when it has one. Options written in the markup are the
+ * fallback when a source can't be read. Lists reload when their sheet changes.
+ */
+const TABLE_COLUMN_REF = /^([^[\]!]+)\[([^\]]+)\]$/;
+
+let optionsTimer = null;
+
+async function populateOptions(container, formContext) {
+  const sheetIds = await loadOptionLists(container, formContext.formId);
+  if (!sheetIds.size) return;
+
+  try {
+    await ExcelRunner.run(async (ctx) => {
+      const sheets = ctx.workbook.worksheets;
+      if (!sheets.onChanged || !sheets.onChanged.add) return; // ExcelApi 1.9
+      const sub = await sheets.onChanged.add(async (event) => {
+        if (!sheetIds.has(event.worksheetId)) return;
+        clearTimeout(optionsTimer);
+        optionsTimer = setTimeout(() => {
+          loadOptionLists(container, formContext.formId)
+            .catch(e => window.ErrorHandler?.warn(e, "Refresh option lists"));
+        }, 200);
+      });
+      formContext.trackExcelHandler(sub);
+      formContext.onCleanup(() => clearTimeout(optionsTimer));
+    }, { retries: 0 });
+  } catch (e) { window.ErrorHandler?.warn(e, "Option list refresh unavailable"); }
+}
+
+// Fills every option list in the container; returns the ids of the source worksheets
+async function loadOptionLists(container, formId = "") {
+  const targets = [...container.querySelectorAll("select[data-options-from], datalist[data-options-from], select[data-bind]")];
+  const sheetIds = new Set();
+  if (!targets.length) return sheetIds;
+
+  await ExcelRunner.run(async (ctx) => {
+    const ws = ctx.workbook.worksheets.getActiveWorksheet();
+    const loaded = [];
+    for (const el of targets) {
+      const from = (el.dataset.optionsFrom || "").trim();
+      try {
+        const source = from
+          ? { range: await resolveOptionsRange(ctx, ws, from) }
+          : await readValidationList(ctx, ws, el);
+        if (!source) continue;
+        if (source.range) {
+          source.range.load("values");
+          source.range.worksheet.load("id");
+        }
+        loaded.push({ el, source });
+      } catch (e) {
+        const err = new Error(`data-options-from "${from}": ${e.message}`);
+        // With options in the markup to fall back on, a missing source is not worth a toast
+        const level = el.querySelector("option:not([value=''])") ? "warn" : "error";
+        reportOnce(`options:${formId}|${from}`, err, "Options", level);
+      }
+    }
+    await ctx.sync();
+
+    for (const { el, source } of loaded) {
+      if (source.range) {
+        sheetIds.add(source.range.worksheet.id);
+        setOptions(el, (source.range.values || []).flat());
+      } else {
+        setOptions(el, source.list);
+      }
+    }
+  });
+  return sheetIds;
+}
+
+async function resolveOptionsRange(ctx, ws, from) {
+  const m = TABLE_COLUMN_REF.exec(from);
+  if (!m) return await resolveTargetRange(ctx, ws, from);
+  const table = ctx.workbook.tables.getItemOrNullObject(m[1].trim());
+  await ctx.sync();
+  if (table.isNullObject) throw new Error(`table "${m[1].trim()}" not found`);
+  const column = table.columns.getItemOrNullObject(m[2].trim());
+  await ctx.sync();
+  if (column.isNullObject) throw new Error(`column "${m[2].trim()}" not found in ${m[1].trim()}`);
+  return column.getDataBodyRange();
+}
+
+// { range } or { list } from the bound cell's list validation, or null without one
+async function readValidationList(ctx, ws, el) {
+  const bind = (el.dataset.bind || "").trim();
+  if (!bind) return null;
+  const cell = await resolveRange(ctx, ws, bind);
+  if (!cell) return null;
+  const dv = cell.getCell(0, 0).dataValidation;
+  try {
+    dv.load(["type", "rule"]);
+    await ctx.sync();
+  } catch {
+    return null; // data validation needs ExcelApi 1.8
+  }
+  if (String(dv.type) !== "List") return null;
+  const src = String(dv.rule?.list?.source ?? "").trim();
+  if (src.startsWith("=")) return { range: await resolveTargetRange(ctx, cell.worksheet, src.slice(1)) };
+  return { list: src.split(",") };
+}
+
+// Replaces generated options, keeping a value="" placeholder from the markup and the current selection
+function setOptions(el, values) {
+  const seen = new Set();
+  const list = [];
+  for (const v of values) {
+    const t = String(v ?? "").trim();
+    if (t && !seen.has(t)) { seen.add(t); list.push(t); }
+  }
+  if (!list.length) return; // keep the markup's options as a fallback
+
+  const selected = el.tagName === "SELECT" ? [...el.selectedOptions].map(o => o.value).filter(Boolean) : [];
+  [...el.querySelectorAll("option")].forEach(o => { if (o.value !== "") o.remove(); });
+  // A selected value that left the source stays visible instead of being silently dropped
+  for (const v of [...list, ...selected.filter(v => !seen.has(v))]) {
+    const o = document.createElement("option");
+    o.value = v;
+    o.textContent = v;
+    o.selected = selected.includes(v);
+    el.appendChild(o);
+  }
+}
+
+// ------------- Validation -------------
+
+/**
+ * Declarative checks on [data-bind] controls; writes are blocked while any fails.
+ *   data-required          value must be non-empty (checkboxes: checked)
+ *   data-min / data-max    numeric bounds (in control units, e.g. 12.5 for percent);
+ *                          "YYYY-MM-DD" bounds for date types
+ *   data-pattern           regex the whole text must match (like the HTML attribute)
+ *   data-maxlength         maximum number of characters
+ *   data-validator="name"  hook registered with registerValidator(name, fn)
+ *   data-message           replaces the built-in message for any failed check
+ * A validator gets (value, el) and returns true/undefined when the value is
+ * fine, or false / a message string when it isn't. It may be async.
+ */
+const Validators = {};
+
+function registerValidator(name, fn) {
+  Validators[name] = fn;
+}
+
+// Returns the first failed check's message, or null when the control is valid
+async function validateControl(el) {
+  const d = el.dataset;
+  const t = (d.type || "").toLowerCase();
+  const text = el.type === "checkbox" ? "" : String(el.value ?? "").trim();
+  const isEmpty = el.type === "checkbox" ? !el.checked
+    : el.multiple ? el.selectedOptions.length === 0
+    : text === "";
+  const fail = (msg) => d.message || msg;
+  if (isHiddenByExpression(el)) return null; // hidden by data-show-if
+
+  if (d.required !== undefined && d.required !== "false" && isEmpty) return fail("This field is required.");
+  if (isEmpty) return null;
+
+  if (t === "date" || t === "datetime") {
+    const iso = String(el.value).trim();
+    if (!parseIsoText(iso)) return fail("Enter a date as YYYY-MM-DD.");
+    // ISO text sorts chronologically, so bounds compare as strings
+    if (d.min !== undefined && iso < d.min) return fail(`Must be on or after ${d.min}.`);
+    if (d.max !== undefined && iso > d.max) return fail(`Must be on or before ${d.max}.`);
+  } else if (t === "number" || t === "percent" || t === "currency" || d.min !== undefined || d.max !== undefined) {
+    const n = t === "percent" || t === "currency" ? parseLooseNumber(text.replace("%", "")) : Number(text);
+    if (t === "currency" && !Number.isFinite(n)) {
+      const { decimal, group } = numberSeparators || browserNumberSeparators();
+      return fail(`Enter an amount such as 1${group}234${decimal}50.`);
+    }
+    if (!Number.isFinite(n)) return fail("Enter a number.");
+    if (d.min !== undefined && n < Number(d.min)) return fail(`Must be at least ${d.min}.`);
+    if (d.max !== undefined && n > Number(d.max)) return fail(`Must be at most ${d.max}.`);
+  }
+  if (d.maxlength !== undefined && text.length > Number(d.maxlength)) {
+    return fail(`Use at most ${d.maxlength} characters.`);
+  }
+  if (d.pattern) {
+    let re = null;
+    try { re = new RegExp(`^(?:${d.pattern})$`); } catch (e) { window.ErrorHandler?.warn(e, `Invalid data-pattern on ${d.bind}`); }
+    if (re && !re.test(text)) return fail("Value is not in the expected format.");
+  }
+  if (d.validator) {
+    const fn = Validators[d.validator];
+    if (!fn) {
+      window.ErrorHandler?.warn(`Unknown data-validator "${d.validator}" on ${d.bind}`, "Validation");
+    } else {
+      const out = await fn(getCellValueFromEl(el), el);
+      if (out === false) return fail("Value is not valid.");
+      if (typeof out === "string" && out) return d.message || out;
+    }
+  }
+  return null;
+}
+
+// Validates and shows/clears the inline message; true when the control is valid
+async function checkControl(el) {
+  const message = await validateControl(el);
+  showValidation(el, message);
+  return !message;
+}
+
+function showValidation(el, message) {
+  el.classList.toggle("is-invalid", !!message);
+  if (message) el.setAttribute("aria-invalid", "true");
+  else el.removeAttribute("aria-invalid");
+
+  // Message goes under the control's .row so the label/input layout stays intact
+  const anchor = el.closest(".row") || el;
+  let note = anchor.nextElementSibling;
+  const key = el.dataset.bind || el.dataset.column || el.id;
+  if (!note || !note.classList.contains("field-error") || note.dataset.for !== key) {
+    if (!message) return;
+    note = document.createElement("div");
+    note.className = "field-error";
+    note.dataset.for = key;
+    note.setAttribute("role", "alert");
+    anchor.after(note);
+  }
+  if (message) note.textContent = message;
+  else note.remove();
+}
+
+async function resolveRange(ctx, ws, bind, out) {
+  try {
+    return await resolveTargetRange(ctx, ws, bind, out);
+  } catch (e) {
+    reportOnce(`bind:${bind}`, new Error(`data-bind "${bind}": ${e.message}`), "Bindings");
+    return null;
+  }
+}
+
+// Markup problems (bad binds, option sources) would otherwise repeat on every refresh
+const reportedProblems = new Set();
+
+function reportOnce(key, err, context, level = "error") {
+  if (reportedProblems.has(key)) return;
+  reportedProblems.add(key);
+  window.ErrorHandler?.[level](err, context);
+}
+
+// ---------- Name & reference resolution ----------
+
+/**
+ * Resolves a bind or route target to a Range (throws when it can't):
+ *   "CompanyName"           name scoped to ws, then workbook-scoped name
+ *   "Settings!CompanyName"  name scoped to the Settings sheet
+ *   "B3", "Config!B3"       single-area A1 reference on ws / on Config
+ * out.named receives the NamedItem when target resolved through a name.
+ */
+async function resolveTargetRange(ctx, ws, target, out) {
+  const { sheet: sheetName, local } = splitSheetPrefix(String(target || "").trim());
+  let sheet = ws;
+  if (sheetName) {
+    sheet = ctx.workbook.worksheets.getItemOrNullObject(sheetName);
+    await ctx.sync();
+    if (sheet.isNullObject) throw new Error(`sheet "${sheetName}" not found`);
+  }
+
+  const named = await findNamedItem(ctx, sheet, local, { workbookScope: !sheetName });
+  if (out) out.named = named;
+  if (named) return named.getRange();
+
+  let ref;
+  try { ref = parseReference(local); }
+  catch (e) { throw new Error(`"${local}" is not a defined name or a valid reference`); }
+  if (ref.areas.length !== 1) throw new Error(`"${local}" must be a single area`);
+  return sheet.getRange(local);
+}
+
+// Sheet scope first, then (optionally) workbook scope; one sync for both lookups
+async function findNamedItem(ctx, ws, name, { workbookScope = true } = {}) {
+  const scoped = ws && ws.names ? ws.names.getItemOrNullObject(name) : null;
+  const global = workbookScope ? ctx.workbook.names.getItemOrNullObject(name) : null;
+  await ctx.sync();
+  if (scoped && !scoped.isNullObject) return scoped;
+  if (global && !global.isNullObject) return global;
+  return null;
 }